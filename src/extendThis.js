@@ -12,7 +12,7 @@
  * --------
  *
  * config
- *    The object containing the global configuration options.
+ *    The object containing the configuration options of an extend function.
  *
  * target
  *    The object being modified.
@@ -30,6 +30,10 @@
  * selector
  *    A mechanism to select properties using a String, RegExp, or Object (mapping)
  *
+ * resolver
+ *    A function which resolves a collision between a property being applied
+ *    and a property which already exists in the target.
+ *
  *
  * Algorithm
  * ---------
@@ -53,9 +57,48 @@
  * @typedef {object} filterContext
  * @property {object} target - The target object (readonly).
  * @property {object} source - The source object (readonly).
- * @property {string} sourceKey - The source property key (readonly).
+ * @property {string|symbol} sourceKey - The source property key (readonly).
  * @property {*} sourceValue -  The source property value (modifiable).
- * @property {string} targetKey - The target key (modifiable).
+ * @property {string|symbol} targetKey - The target key (modifiable).
+ * @property {object} descriptor
+ *     The property descriptor if applying descriptors, otherwise null
+ *     (modifiable).
+ * @property {object} errors - The errors that can be thrown (readonly).
+ */
+
+/*
+ * The object passed into a conflict resolver.
+ *
+ * @typedef {object} resolverContext
+ * @property {object} target - The target object (readonly).
+ * @property {object} source - The source object (readonly).
+ * @property {string|symbol} sourceKey - The source property key (readonly).
+ * @property {string|symbol} targetKey - The target key (readonly).
+ * @property {*} existingValue - The target property value (readonly).
+ * @property {*} sourceValue - The source property value (modifiable).
+ * @property {object} errors - The errors that can be thrown (readonly).
+ */
+
+/*
+ * The report of what a method does with a selected property.
+ *
+ * @typedef {object} propertyReport
+ * @property {string|symbol} sourceKey - The source property key.
+ * @property {string|symbol} targetKey
+ *     The final target key, or null if the property was filtered out.
+ * @property {boolean} found - True if the property exists in the source.
+ * @property {boolean} filtered - True if the property was filtered out.
+ * @property {function} filter - The filter which filtered out the property.
+ * @property {boolean} collision - True if the target key already exists.
+ * @property {boolean} override - True if a collision is not an error.
+ * @property {string|function} strategy
+ *     The conflict strategy used if there is a collision, otherwise null.
+ * @property {object} previous
+ *     The descriptor of the target's own property before the property was
+ *     applied, or undefined.
+ * @property {boolean} applied
+ *     True if the property was applied to the target (always false when
+ *     planning).
  */
 
 /*
@@ -73,6 +116,13 @@
  *     The keys of the object are the source keys which should not report
  *     an error if the target key already exists in the target object
  *     (modifiable).
+ * @property {object} readOnlyKeys
+ *     The keys of the object are the source keys which should be read-only
+ *     when delegated live (modifiable).
+ * @property {array} methodArgs
+ *     The method arguments which haven't been parsed yet (modifiable).
+ * @property {object} config The configuration options (readonly).
+ * @property {object} errors The errors that can be thrown (readonly).
  */
 
 //--------------------------------------
@@ -82,81 +132,371 @@
 // Run apply faster.
 var fastApply = require('fast-apply');
 
-// Global configuration options.
-var config = {
-    filename: 'extendThis.js',
-    throwPropertyNotFoundError: true,
-    throwOverrideError: true
-};
+// Method argument which enables applying property descriptors.
+var descriptorsArg = {};
 
-// String selectors.
-var selectorsManager = createSelectorsManager();
+// Method argument which includes the prototype properties of a constructor.
+var includePrototypeArg = {};
 
-// Methods for modifying the target object.
-var methodsManager = createMethodsManager();
+// The delegates of the target objects extended using dynamic delegation.
+// The keys are the proxies inserted into the targets' prototype chains.
+var dynamicDelegates = typeof WeakMap !== 'undefined' ? new WeakMap() : null;
 
-// Errors that can be thrown.
-var errorManager = createErrorsManager();
+/*
+ * Method argument which selects the conflict strategy for the method call,
+ * or for the specified source keys.
+ *
+ * @constructor
+ * @param {string|function} strategy The resolver name or the resolver.
+ * @param {array} keys The source keys.
+ */
+function ConflictArg(strategy, keys) {
+    this.strategy = strategy;
+    this.keys = keys;
+}
 
-// Optional extend function to handle other use cases.
-var otherExtend = null;
+/*
+ * Method argument which selects how the results of a multicast method call
+ * are combined.
+ *
+ * @constructor
+ * @param {string|function} reducer The reducer name or the reducer.
+ */
+function ReducerArg(reducer) {
+    this.reducer = reducer;
+}
 
-//--------------------------------------
-// Module exports
-//--------------------------------------
+/*
+ * Method argument which selects how arrays are merged by a deep merge.
+ *
+ * @constructor
+ * @param {string} strategy The array strategy name.
+ * @param {string} [key] The key which identifies the items of a union.
+ */
+function ArraysArg(strategy, key) {
+    this.strategy = strategy;
+    this.key = key;
+}
 
-module.exports = extend;
+/*
+ * Method argument which contains the arguments of a recipe applied with
+ * .apply(). Methods which call a function don't pass it to the function.
+ *
+ * @constructor
+ * @param {array} args The method arguments of the recipe.
+ */
+function RecipeArg(args) {
+    this.args = args;
+}
 
-// Expose function to add selectors.
-extend.selector = selectorsManager.addSelector;
+/*
+ * A set of properties which is composed into a target object with other
+ * traits, and the properties it requires from the target or other traits.
+ *
+ * @constructor
+ * @param {object} members The properties of the trait.
+ * @param {array} requires The keys of the required properties.
+ */
+function Trait(members, requires) {
+    this.members = members;
+    this.requires = requires;
+}
 
-// Expose function to add methods.
-extend.method = methodsManager.addMethod;
+// Functions which combine the results of a multicast method call.
+var multicastReducers = {
+    array: function(results) {
+        return results;
+    },
+    first: function(results) {
+        for (var i = 0; i < results.length; i++) {
+            if (results[i] !== undefined) {
+                return results[i];
+            }
+        }
+        return undefined;
+    },
+    every: function(results) {
+        for (var i = 0; i < results.length; i++) {
+            if (!results[i]) {
+                return false;
+            }
+        }
+        return true;
+    },
+    promise: function(results) {
+        return Promise.all(results);
+    }
+};
 
-// Expose the configuration.
-extend.config = config;
+// The standard filters and filter factories.
+var standardFilters = {
+    excludeName: createExcludeNameFilter,
+    includeName: createIncludeNameFilter,
+    delegate: delegateFilter,
+    bindTo: createBindFilter,
+    onlyFunctions: onlyFunctionsFilter,
+    onlyData: onlyDataFilter,
+    readOnly: readOnlyFilter,
+    prefix: createPrefixFilter,
+    suffix: createSuffixFilter,
+    mapValue: createMapValueFilter,
+    when: createWhenFilter,
+    trace: createTraceFilter
+};
 
-// Allow a different extend function to be called to handle
-// other use cases. It is called when there are more than 1
-// arguments passed in.
-extend.wrap = function(extendFunc) {
-    otherExtend = extendFunc;
+// The caches of the memoized methods. The keys are the objects the methods
+// cache results for. The values are objects whose keys are the target keys
+// and whose values are arrays of caches.
+var memoizeCaches = typeof WeakMap !== 'undefined' ? new WeakMap() : null;
+
+// The functions which check the types named in contracts.
+var contractTypes = {
+    any: function() {
+        return true;
+    },
+    array: isArray,
+    'boolean': function(value) {
+        return typeof value === 'boolean';
+    },
+    'function': isFunction,
+    null: function(value) {
+        return value === null;
+    },
+    number: function(value) {
+        return typeof value === 'number';
+    },
+    object: isObject,
+    string: isString,
+    symbol: isSymbol,
+    undefined: function(value) {
+        return value === undefined;
+    }
 };
 
+// The setters of the sealed properties.
+var sealedSetters = typeof WeakSet !== 'undefined' ? new WeakSet() : null;
+
 //--------------------------------------
-// Default selectors and methods
+// Module exports
 //--------------------------------------
 
-extend.selector('!', negationSelector);
-extend.selector('#', overrideSelector);
-
-extend.method('withCall', callMethod);
-extend.method('withDelegate', delegateMethod);
-extend.method('with', mixinMethod);
+module.exports = createExtend();
 
 //--------------------------------------
 // Core functions
 //--------------------------------------
 
 /*
- * Main entry point.
- *
- * Returns a set of methods which can be used to modify the target object.
+ * Creates an extend function with its own selectors, methods and
+ * configuration options.
  *
- * @param {object} target The object to modify.
- * @returns {object} An object where each property is a method.
+ * @param {object} [options]
+ * @param {boolean} [options.defaults=true]
+ *     If true, the default selectors and methods are added.
+ * @param {object} [options.config]
+ *     The configuration options to override.
+ * @returns {function} The extend function.
  */
-function extend(target) {
-    if (arguments.length > 1 && otherExtend) {
-        fastApply(otherExtend, null, arguments);
+function createExtend(options) {
+    options = options || {};
+
+    // Configuration options.
+    var config = {
+        filename: 'extendThis.js',
+        throwPropertyNotFoundError: true,
+        throwOverrideError: true,
+        useDescriptors: false,
+        includeInherited: true,
+        inheritedDepth: Infinity,
+        seal: true,
+        conflictStrategy: 'error',
+        throwDeprecationError: false,
+        deprecationLogger: logWarning,
+        checkContracts: true,
+        strictParsing: false
+    };
+    for (var name in options.config) {
+        config[name] = options.config[name];
+    }
+
+    // Errors that can be thrown.
+    var errorManager = createErrorsManager(config);
+
+    // String selectors.
+    var selectorsManager = createSelectorsManager(config, errorManager);
+
+    // Conflict resolvers.
+    var resolversManager = createResolversManager(errorManager);
+
+    // Where the properties of the target objects came from.
+    var provenanceManager = createProvenanceManager();
+
+    // Named recipes of method arguments.
+    var recipesManager = createRecipesManager(errorManager);
+
+    // Methods for modifying the target object.
+    var methodsManager = createMethodsManager(config, selectorsManager,
+        errorManager, provenanceManager, resolversManager, recipesManager);
+
+    // Optional extend function to handle other use cases.
+    var otherExtend = null;
+
+    /*
+     * Main entry point.
+     *
+     * Returns a set of methods which can be used to modify the target object.
+     *
+     * @param {object} target The object to modify.
+     * @returns {object} An object where each property is a method.
+     */
+    function extend(target) {
+        if (arguments.length > 1 && otherExtend) {
+            fastApply(otherExtend, null, arguments);
+        }
+        return methodsManager.setTarget(target);
+    }
+
+    // Expose function to add selectors.
+    extend.selector = selectorsManager.addSelector;
+
+    // Expose function to add methods.
+    extend.method = methodsManager.addMethod;
+
+    // Expose function to add conflict resolvers.
+    extend.resolver = resolversManager.addResolver;
+
+    // Expose function to add recipes.
+    extend.recipe = recipesManager.addRecipe;
+
+    // Expose function to add filters which recipes refer to by name.
+    extend.filter = recipesManager.addFilter;
+
+    // Expose function to load a JSON recipe.
+    extend.loadRecipe = recipesManager.loadRecipe;
+
+    // Expose a copy of the standard filters, so that filters added to one
+    // extend function aren't shared with the others.
+    extend.filters = {};
+    for (var filterName in standardFilters) {
+        extend.filters[filterName] = standardFilters[filterName];
+    }
+
+    // Expose function to create a filter which caches the results of
+    // functions, and to clear the caches of an object.
+    extend.filters.memoize = function(options) {
+        return createMemoizeFilter(options, errorManager);
+    };
+    extend.filters.memoize.clear = clearMemoizeCaches;
+
+    // Expose function to create a filter which checks the arguments and
+    // return values of functions.
+    extend.contract = function(schema) {
+        return createContractFilter(schema, config, errorManager);
+    };
+
+    // Expose function to create method argument which selects the conflict
+    // strategy for the method call, or for the specified source keys.
+    extend.resolve = function(strategy) {
+        var keys = [];
+        for (var i = 1; i < arguments.length; i++) {
+            keys.push(arguments[i]);
+        }
+        return new ConflictArg(strategy, keys);
+    };
+
+    // Expose function to create method argument which selects how the
+    // results of a multicast method call are combined.
+    extend.reduce = function(reducer) {
+        return new ReducerArg(reducer);
+    };
+
+    // Expose function to create method argument which selects how arrays
+    // are merged by a deep merge.
+    extend.arrays = function(strategy, key) {
+        return new ArraysArg(strategy, key);
+    };
+
+    // Expose function to create a trait.
+    extend.trait = function(members, options) {
+        var requires = (options && options.requires) || [];
+        if (!isObject(members)) {
+            errorManager.illegalArgument(members, 'No trait members found.');
+        }
+        if (!isArray(requires)) {
+            errorManager.illegalArgument(requires, 'requires must be an array');
+        }
+        return new Trait(members, requires);
+    };
+
+    // Expose the configuration.
+    extend.config = config;
+
+    // Expose function to describe where the target's properties came from.
+    extend.describe = provenanceManager.describe;
+
+    // Allow a different extend function to be called to handle
+    // other use cases. It is called when there are more than 1
+    // arguments passed in.
+    extend.wrap = function(extendFunc) {
+        otherExtend = extendFunc;
+    };
+
+    // Expose method argument to apply property descriptors.
+    extend.descriptors = descriptorsArg;
+
+    // Expose method argument to include the prototype properties of a
+    // constructor.
+    extend.includePrototype = includePrototypeArg;
+
+    // Expose function to create an independent extend function.
+    extend.create = createExtend;
+
+    // Conflict resolvers. These are always added, since the configuration
+    // refers to them by name.
+    extend.resolver('error', errorResolver);
+    extend.resolver('replace', replaceResolver);
+    extend.resolver('keepExisting', keepExistingResolver);
+    extend.resolver('chain', chainResolver);
+    extend.resolver('pipe', pipeResolver);
+    extend.resolver('merge', mergeResolver);
+
+    // Default selectors and methods.
+    if (options.defaults !== false) {
+        extend.selector('!', negationSelector);
+        extend.selector('#', overrideSelector);
+        extend.selector('=', readOnlySelector);
+        extend.selector('@', createRecipeSelector(recipesManager));
+
+        extend.filter('delegate', delegateFilter);
+        extend.filter('onlyFunctions', onlyFunctionsFilter);
+        extend.filter('onlyData', onlyDataFilter);
+        extend.filter('readOnly', readOnlyFilter);
+
+        extend.method('withCall', callMethod);
+        extend.method('withNew', newMethod);
+        extend.method('withDelegate', delegateMethod);
+        extend.method('withLiveDelegate', liveDelegateMethod);
+        extend.method('withDynamicDelegate', dynamicDelegateMethod);
+        extend.method('withMulticast', multicastMethod);
+        extend.method('with', mixinMethod);
+        extend.method('withDeep', deepMethod);
+        extend.method('withTraits', traitsMethod);
+        extend.method('withDeprecated', deprecatedMethod);
+        extend.method('withBefore', beforeMethod);
+        extend.method('withAfter', afterMethod);
+        extend.method('withAround', aroundMethod);
     }
-    return methodsManager.setTarget(target);
+
+    return extend;
 }
 
 /*
  * Parses the arguments passed into a method.
  *
  * @param {array} methodArgs
+ * @param {object} config The configuration options.
+ * @param {object} selectorsManager The string selectors.
+ * @param {object} errorManager The errors that can be thrown.
  *
  * If the first argument is a plain object, it is assumed to be the source object.
  * If the first argument is a string, it is assumed to be a property name and
@@ -164,10 +504,20 @@ function extend(target) {
  *
  * Possible argument types:
  *    string    select property specified by string
+ *    symbol    select property specified by symbol
  *    object    select properties specified by object keys
+ *    map       select properties specified by map keys
  *    regex     select properties that match the regular expression
  *    array     decompose array into individual arguments and reparse
  *    function  add filter to pipeline
+ *    extend.descriptors  apply property descriptors instead of values
+ *    extend.resolve()    select the conflict strategy
+ *    extend.reduce()     select how multicast results are combined
+ *    extend.arrays()     select how deep arrays are merged
+ *
+ * If the strictParsing option is true, unsupported arguments, selectors
+ * which select nothing, and duplicate or contradictory selectors are
+ * reported together in one error.
  *
  * @returns {Object} params The values from the parsed arguments.
  * @returns {object} params.source The source object.
@@ -178,8 +528,26 @@ function extend(target) {
  * @returns {object} params.overrideKeys
  *     The keys of the object are the source keys which should not report
  *     an error if the target key already exists in the target object.
+ * @returns {object} params.readOnlyKeys
+ *     The keys of the object are the source keys which should be read-only
+ *     when delegated live.
+ * @returns {boolean} params.descriptors
+ *     True if property descriptors should be applied to the target object.
+ * @returns {string|function} params.conflictStrategy
+ *     The conflict strategy for the method call, or null for the default.
+ * @returns {object} params.conflictKeys
+ *     The keys of the object are the source keys. The values of the object
+ *     are the conflict strategies for the source keys.
+ * @returns {string|function} params.reducer
+ *     The multicast reducer name or reducer, or null for the default.
+ * @returns {ArraysArg} params.arrays
+ *     The deep array strategy, or null for the default.
+ * @returns {array} params.regexps The regular expression selectors.
+ * @returns {boolean} params.selectsAll
+ *     True if all the properties were selected, before any negated
+ *     properties were removed.
  */
-function parseMethodArgs(methodArgs) {
+function parseMethodArgs(methodArgs, config, selectorsManager, errorManager) {
 
     var firstArg = methodArgs.shift(),
         source;
@@ -198,9 +566,23 @@ function parseMethodArgs(methodArgs) {
         errorManager.illegalArgument(firstArg, 'No source object found.');
     }
 
-    var overrideKeys = {}, // src keys which can override without error
-        sourceKeys = {}, // src keys to pass to filters
-        filters = []; // filters to process properties.
+    // The keys of these objects are source keys, so they have no prototype
+    // whose properties could be mistaken for them.
+    var overrideKeys = Object.create(null), // src keys which can override without error
+        readOnlyKeys = Object.create(null), // src keys which are read-only when delegated live
+        sourceKeys = Object.create(null), // src keys to pass to filters
+        filters = [], // filters to process properties.
+        descriptors = false, // apply property descriptors.
+        conflictStrategy = null, // strategy for colliding properties.
+        conflictKeys = Object.create(null), // strategies for colliding source keys.
+        reducer = null, // combines the results of multicast calls.
+        arrays = null, // merges the arrays of deep properties.
+        regexps = [], // regular expression selectors.
+        selectsAll = false; // all properties selected.
+
+    // Finds the problems with the arguments in strict mode.
+    var checker = config.strictParsing ?
+        createArgsChecker(source, config, selectorsManager) : null;
 
     // Iterate through the arguments separating them into selected
     // properties and filters.
@@ -208,15 +590,33 @@ function parseMethodArgs(methodArgs) {
         var arg = methodArgs.shift();
 
         if (isString(arg)) {
-            // Is a string selector
-            if (!selectorsManager.executeSelector(source, arg, null,
-                    sourceKeys, overrideKeys)) {
+            // A negation selects all the properties first.
+            var found = selectorsManager.findSelector(arg);
+            if (found && found.selector === negationSelector &&
+                isEmpty(sourceKeys)) {
+                selectsAll = true;
+            }
+
+            // Is a string selector, unless it has a problem.
+            if ((!checker || checker.checkSelector(arg)) &&
+                !selectorsManager.executeSelector(source, arg, null,
+                    sourceKeys, overrideKeys, readOnlyKeys, methodArgs)) {
+                sourceKeys[arg] = arg;
+            }
+
+        } else if (isSymbol(arg)) {
+            // Is a symbol selector.
+            if (!checker || checker.checkSelector(arg)) {
                 sourceKeys[arg] = arg;
             }
 
         } else if (isRegex(arg)) {
             // Is a regular expression selector.
-            extendSourceKeys(sourceKeys, source, arg);
+            if (checker) {
+                checker.checkRegex(arg);
+            }
+            regexps.push(arg);
+            extendSourceKeys(sourceKeys, source, config, arg);
 
         } else if (isArray(arg)) {
             // decompose array into separate arguments
@@ -224,43 +624,240 @@ function parseMethodArgs(methodArgs) {
                 methodArgs.push(arg[j]);
             }
 
+        } else if (arg instanceof RecipeArg) {
+            // decompose the recipe's arguments into separate arguments
+            for (var r = 0; r < arg.args.length; r++) {
+                methodArgs.push(arg.args[r]);
+            }
+
         } else if (isFunction(arg)) {
             // Is a filter.
             filters.push(arg);
 
+        } else if (arg === descriptorsArg) {
+            // Apply property descriptors.
+            descriptors = true;
+
+        } else if (arg instanceof ConflictArg) {
+            // Is a conflict strategy for the method call or source keys.
+            if (arg.keys.length) {
+                for (var c = 0; c < arg.keys.length; c++) {
+                    conflictKeys[arg.keys[c]] = arg.strategy;
+                }
+            } else {
+                conflictStrategy = arg.strategy;
+            }
+
+        } else if (arg instanceof ReducerArg) {
+            // Is the reducer for a multicast method.
+            reducer = arg.reducer;
+
+        } else if (arg instanceof ArraysArg) {
+            // Is the array strategy for a deep method.
+            arrays = arg;
+
+        } else if (isMap(arg)) {
+            // Is a selector with rename using symbol or string keys.
+            arg.forEach(rename);
+
         } else if (isObject(arg)) {
             // Is a selector with rename.
-            for (var sourceKey in arg) {
-                var targetKey = arg[sourceKey];
-                if (!selectorsManager.executeSelector(source, sourceKey,
-                        targetKey, sourceKeys, overrideKeys)) {
-                    sourceKeys[sourceKey] = targetKey;
-                }
-                if (!isString(sourceKeys[sourceKey])) {
-                    errorManager.illegalArgument(targetKey,
-                        'Target property name is not a string.');
-                }
+            if (checker && !isPlainObject(arg)) {
+                checker.addProblem(arg, 'Rename selector is not a plain object.');
+            }
+            var keys = getOwnKeys(arg);
+            for (var k = 0; k < keys.length; k++) {
+                rename(arg[keys[k]], keys[k]);
             }
+
+        } else if (checker) {
+            checker.addProblem(arg, 'Unsupported argument.');
         }
     }
 
+    if (checker) {
+        checker.report(errorManager);
+    }
+
     // If no properties specified, default to all properties in source.
     if (isEmpty(sourceKeys)) {
-        extendSourceKeys(sourceKeys, source);
+        selectsAll = true;
+        extendSourceKeys(sourceKeys, source, config);
     }
 
     return {
         source: source,
         filters: filters,
         sourceKeys: sourceKeys,
-        overrideKeys: overrideKeys
+        overrideKeys: overrideKeys,
+        readOnlyKeys: readOnlyKeys,
+        descriptors: descriptors,
+        conflictStrategy: conflictStrategy,
+        conflictKeys: conflictKeys,
+        reducer: reducer,
+        arrays: arrays,
+        regexps: regexps,
+        selectsAll: selectsAll
+    };
+
+    /*
+     * Selects the source property and renames it to the target key.
+     */
+    function rename(targetKey, sourceKey) {
+        if (!isString(targetKey) && !isSymbol(targetKey)) {
+            if (checker) {
+                checker.addProblem(targetKey,
+                    'Target property name is not a string.');
+                return;
+            }
+            errorManager.illegalArgument(targetKey,
+                'Target property name is not a string.');
+        }
+        if (checker && !checker.checkSelector(sourceKey)) {
+            return;
+        }
+        if (isSymbol(sourceKey) ||
+            !selectorsManager.executeSelector(source, sourceKey,
+                targetKey, sourceKeys, overrideKeys, readOnlyKeys, methodArgs)) {
+            sourceKeys[sourceKey] = targetKey;
+        }
+    }
+}
+
+/*
+ * Creates an object which finds the problems with method arguments, so
+ * that they can be reported together.
+ *
+ * @param {object} source The source object.
+ * @param {object} config The configuration options.
+ * @param {object} selectorsManager The string selectors.
+ */
+function createArgsChecker(source, config, selectorsManager) {
+    var problems = [],
+        selectors = [], // the string and symbol selectors
+        selected = Object.create(null), // keys selected by name
+        negated = Object.create(null); // keys excluded by name
+
+    return {
+        addProblem: addProblem,
+        checkSelector: checkSelector,
+        checkRegex: checkRegex,
+        report: report
     };
+
+    /*
+     * Adds a problem with an argument.
+     *
+     * @param {*} arg The argument.
+     * @param {string} message The problem.
+     */
+    function addProblem(arg, message) {
+        problems.push(stringify(arg) + ': ' + message);
+    }
+
+    /*
+     * Checks a string or symbol selector.
+     *
+     * @param {string|symbol} arg The selector.
+     * @returns {boolean} True if the selector has no problems.
+     */
+    function checkSelector(arg) {
+        if (selectors.indexOf(arg) !== -1) {
+            addProblem(arg, 'Duplicate selector.');
+            return false;
+        }
+        selectors.push(arg);
+
+        var found = isString(arg) ? selectorsManager.findSelector(arg) : null,
+            key = found ? found.sourceKey : arg,
+            byName = !found || found.selector === overrideSelector ||
+            found.selector === readOnlySelector;
+
+        // Other selectors may not refer to a property.
+        if (!byName && found.selector !== negationSelector) {
+            return true;
+        }
+        if (config.throwPropertyNotFoundError && !(key in source)) {
+            addProblem(arg, 'Property not found.');
+            return false;
+        }
+        if (byName) {
+            selected[key] = true;
+        } else {
+            negated[key] = true;
+        }
+        if (selected[key] && negated[key]) {
+            addProblem(arg, 'Contradictory selectors.');
+            return false;
+        }
+        return true;
+    }
+
+    /*
+     * Checks that a regular expression selector matches a property.
+     *
+     * @param {RegExp} regexp The selector.
+     */
+    function checkRegex(regexp) {
+        var matched = {};
+        extendSourceKeys(matched, source, config, regexp);
+        if (isEmpty(matched)) {
+            addProblem(String(regexp), 'Selects no properties.');
+        }
+    }
+
+    /*
+     * Reports the problems found in one error.
+     *
+     * @param {object} errorManager The errors that can be thrown.
+     */
+    function report(errorManager) {
+        if (problems.length) {
+            errorManager.illegalArguments(problems);
+        }
+    }
+}
+
+/*
+ * Passes the property through the filter pipeline. If a filter rejects
+ * the property, the target key is set to null.
+ *
+ * @param {object} filterContext The property.
+ * @param {array} filters The filters.
+ * @returns {function} The filter which rejected the property, or null.
+ */
+function applyFilters(filterContext, filters) {
+    for (var i = 0; i < filters.length; i++) {
+        if (!filters[i](filterContext)) {
+            // Don't apply this property to the target.
+            filterContext.targetKey = null;
+            return filters[i];
+        }
+    }
+    return null;
 }
 
 /*
  * Modifies the target object using the specified properties and filters.
+ * If an error is thrown, the target object is restored to its prior state.
+ *
+ * @param {object} target The target object.
+ * @param {object} params The values returned by the method.
+ * @param {object} errorManager The errors that can be thrown.
+ * @param {object} resolversManager The conflict resolvers.
+ * @param {boolean} [dryRun]
+ *     If true, the target object is not modified and no errors are thrown
+ *     for missing or colliding properties.
+ * @returns {array} The propertyReport of each selected property.
  */
-function modifyTarget(target, source, sourceKeys, filters, overrideKeys) {
+function modifyTarget(target, params, errorManager, resolversManager, dryRun) {
+
+    var source = params.source,
+        sourceKeys = params.sourceKeys,
+        filters = params.filters,
+        overrideKeys = params.overrideKeys,
+        appliedKeys = Object.create(null),
+        reports = [];
 
     // Arguments available to each filter.
     var filterContext = {
@@ -268,53 +865,148 @@ function modifyTarget(target, source, sourceKeys, filters, overrideKeys) {
         source: source, // readonly
         sourceKey: null, // readonly
         targetKey: null,
-        sourceValue: null
+        sourceValue: null,
+        descriptor: null,
+        errors: errorManager // readonly
     };
 
-    // For each property, send it through the filter pipeline and
-    // then apply it to the target object.
-    for (var sourceKey in sourceKeys) {
-        filterContext.sourceKey = sourceKey;
-        filterContext.targetKey = sourceKeys[sourceKey];
-
-        // Throw an error if the source property name doesn't refer to a value.
-        if (!(sourceKey in source)) {
-            errorManager.propertyNotFound(sourceKey, source);
-        }
-        filterContext.sourceValue = source[sourceKey];
-
-        // Apply the filters to the property.
-        for (var i = 0; i < filters.length; i++) {
-            if (!filters[i](filterContext)) {
-                // Don't apply this property to the target.
-                filterContext.targetKey = null;
-                break;
+    // The target's prior properties, so that the target can be restored
+    // if an error is thrown.
+    var snapshots = [];
+
+    try {
+        // For each property, send it through the filter pipeline and
+        // then apply it to the target object.
+        var keys = getOwnKeys(sourceKeys);
+        for (var k = 0; k < keys.length; k++) {
+            var sourceKey = keys[k],
+                found = sourceKey in source,
+                rejectedBy = null;
+
+            filterContext.sourceKey = sourceKey;
+            filterContext.targetKey = sourceKeys[sourceKey];
+
+            // Throw an error if the source property name doesn't refer to a value.
+            if (!found && !dryRun) {
+                errorManager.propertyNotFound(sourceKey, source);
+            }
+            if (params.descriptors && found) {
+                // Don't invoke getters. Only data descriptors have a value.
+                filterContext.descriptor = getPropertyDescriptor(source, sourceKey);
+                filterContext.sourceValue = filterContext.descriptor.value;
+            } else {
+                filterContext.descriptor = null;
+                filterContext.sourceValue = source[sourceKey];
             }
-        }
-
-        // Apply property to target.
-        if (filterContext.targetKey !== null) {
-            // Allow overwrite to take place. Developer can ignore error.
-            var overwritten = filterContext.targetKey in target;
 
-            target[filterContext.targetKey] = filterContext.sourceValue;
+            // Apply the filters to the property.
+            rejectedBy = applyFilters(filterContext, filters);
+
+            var targetKey = filterContext.targetKey,
+                location = targetKey !== null ?
+                locateProperty(target, targetKey, params.deep) : null,
+                collision = targetKey !== null &&
+                (location.exists || appliedKeys[targetKey] === true),
+                previous = location && location.owner ?
+                Object.getOwnPropertyDescriptor(location.owner, location.key) :
+                undefined,
+                strategy = null;
+
+            // The strategy for the source key takes precedence over the
+            // array strategy, which takes precedence over the override
+            // selector, which takes precedence over the strategy for the
+            // method call.
+            if (collision) {
+                strategy = params.conflictKeys[sourceKey] ||
+                    (params.arrayStrategy && isArray(location.value) &&
+                        isArray(filterContext.sourceValue) ?
+                        params.arrayStrategy : null) ||
+                    (overrideKeys[sourceKey] ? 'replace' : params.conflictStrategy);
+            }
 
-            if (overwritten && !overrideKeys[sourceKey]) {
-                errorManager.propertyOverride(filterContext.targetKey, target);
+            var report = {
+                sourceKey: sourceKey,
+                targetKey: targetKey,
+                found: found,
+                filtered: rejectedBy !== null,
+                filter: rejectedBy,
+                collision: collision,
+                override: overrideKeys[sourceKey] === true,
+                strategy: strategy,
+                previous: previous,
+                applied: false
+            };
+            reports.push(report);
+
+            // Apply property to target.
+            if (targetKey !== null) {
+                appliedKeys[targetKey] = true;
+
+                // Resolve collision before the property is overwritten.
+                var apply = !dryRun && (!collision ||
+                    resolversManager.resolve(strategy, {
+                        target: target,
+                        source: source,
+                        sourceKey: sourceKey,
+                        targetKey: targetKey,
+                        existingValue: location.value,
+                        sourceValue: filterContext.sourceValue,
+                        errors: errorManager
+                    }, filterContext));
+
+                if (apply) {
+                    var owner = params.deep ?
+                        createPath(target, targetKey, snapshots) : target,
+                        key = location.key;
+
+                    report.applied = true;
+
+                    snapshots.push({
+                        object: owner,
+                        key: key,
+                        descriptor: previous
+                    });
+
+                    if (filterContext.descriptor) {
+                        defineProperty(owner, key,
+                            filterContext.descriptor, filterContext.sourceValue);
+                    } else if (previous && isSealedSetter(previous.set)) {
+                        // Replace the sealed property instead of setting it.
+                        defineProperty(owner, key, {
+                            writable: true,
+                            enumerable: true,
+                            configurable: true
+                        }, filterContext.sourceValue);
+                    } else {
+                        owner[key] = filterContext.sourceValue;
+                    }
+                }
             }
         }
+
+    } catch (error) {
+        restoreTarget(target, snapshots);
+        throw error;
     }
+    return reports;
 }
 
-
 //--------------------------------------
 // Methods
 //--------------------------------------
 
 /*
  * Creates an object for managing the methods.
+ *
+ * @param {object} config The configuration options.
+ * @param {object} selectorsManager The string selectors.
+ * @param {object} errorManager The errors that can be thrown.
+ * @param {object} provenanceManager The provenance of the target properties.
+ * @param {object} resolversManager The conflict resolvers.
+ * @param {object} recipesManager The named recipes.
  */
-function createMethodsManager() {
+function createMethodsManager(config, selectorsManager, errorManager,
+    provenanceManager, resolversManager, recipesManager) {
     var methods = {};
 
     return {
@@ -342,39 +1034,154 @@ function createMethodsManager() {
      * @param {object} target The target object.
      */
     function setTarget(target) {
-        var targetMethods = {};
+        var targetMethods = {
+            plan: {},
+            without: wrapWithout(target),
+            seal: wrapSeal(target)
+        };
         for (var name in methods) {
-            targetMethods[name] = wrapMethod(target, methods[name]);
+            targetMethods[name] = wrapMethod(target, name);
+            targetMethods.plan[name] = wrapMethod(target, name, true);
         }
+        targetMethods.apply = wrapApply(targetMethods);
+        targetMethods.plan.apply = wrapApply(targetMethods.plan);
         return targetMethods;
     }
 
+    /*
+     * Returns a function which calls the method of a recipe with the
+     * source object, the recipe's arguments and any other arguments.
+     *
+     * @param {object} targetMethods The methods for the target object.
+     */
+    function wrapApply(targetMethods) {
+        return function(recipeName) {
+            var recipeMethod = recipesManager.getRecipeMethod(recipeName),
+                method = targetMethods[recipeMethod];
+
+            if (!isFunction(method)) {
+                errorManager.illegalArgument(recipeMethod, 'Unknown method.');
+            }
+
+            var methodArgs = [];
+            for (var i = 1; i < arguments.length; i++) {
+                methodArgs.push(arguments[i]);
+            }
+            // The recipe's arguments follow the source object. Methods which
+            // call a function move them after the function's arguments.
+            methodArgs.splice(1, 0,
+                new RecipeArg(recipesManager.getRecipeArgs(recipeName)));
+
+            return fastApply(method, this, methodArgs);
+        };
+    }
+
+    /*
+     * Returns a function which removes the properties applied to the
+     * target object from a source object.
+     *
+     * @param {object} target The target object.
+     */
+    function wrapWithout(target) {
+        return function(source) {
+            provenanceManager.detach(target, source);
+            removeDynamicDelegates(target, source);
+            return this;
+        };
+    }
+
+    /*
+     * Returns a function which seals the properties applied to the target
+     * object, so that setting them later reports an error. Properties
+     * selected with the override selector are not sealed.
+     *
+     * @param {object} target The target object.
+     */
+    function wrapSeal(target) {
+        return function() {
+            if (config.seal) {
+                // Only the last property applied to a key matters.
+                var records = provenanceManager.describe(target),
+                    overrides = Object.create(null),
+                    keys = [];
+
+                for (var i = 0; i < records.length; i++) {
+                    if (!(records[i].targetKey in overrides)) {
+                        keys.push(records[i].targetKey);
+                    }
+                    overrides[records[i].targetKey] = records[i].override;
+                }
+                for (var j = 0; j < keys.length; j++) {
+                    if (!overrides[keys[j]]) {
+                        sealProperty(target, keys[j], errorManager);
+                    }
+                }
+            }
+            return this;
+        };
+    }
+
     /*
      * Wraps the method so that it is executed with the appropriate
      * arguments.
      *
      * @param {object} target The target object.
-     * @param {function} method The method to wrap.
+     * @param {string} name The name of the method to wrap.
+     * @param {boolean} [dryRun]
+     *     If true, the wrapped method returns a report of what it would
+     *     do instead of modifying the target object.
      */
-    function wrapMethod(target, method) {
+    function wrapMethod(target, name, dryRun) {
+        var method = methods[name];
+
         return function() {
 
+            // The source the caller passed, which methods may replace.
+            var origin = arguments[0];
+
             // Put arguments into a real array.
             var methodArgs = [];
             for (var i = 0; i < arguments.length; i++) {
                 methodArgs.push(arguments[i]);
             }
 
-            var params = method(target, parseMethodArgs, methodArgs);
+            var params = method(target, parseArgs, methodArgs, errorManager,
+                dryRun === true);
+
+            if (config.useDescriptors) {
+                params.descriptors = true;
+            }
+            if (!params.conflictStrategy) {
+                params.conflictStrategy = config.conflictStrategy;
+            }
+
+            var properties = modifyTarget(target, params, errorManager,
+                resolversManager, dryRun);
 
-            modifyTarget(target,
-                params.source,
-                params.sourceKeys,
-                params.filters,
-                params.overrideKeys);
+            if (dryRun) {
+                return {
+                    source: params.source,
+                    properties: properties
+                };
+            }
+            // The paths of deep merged properties aren't target keys.
+            if (!params.deep) {
+                provenanceManager.record(target, name, params, properties,
+                    origin);
+            }
             return this;
         };
     }
+
+    /*
+     * Parses the method arguments using the selectors of this manager.
+     *
+     * @param {array} methodArgs
+     */
+    function parseArgs(methodArgs) {
+        return parseMethodArgs(methodArgs, config, selectorsManager,
+            errorManager);
+    }
 }
 
 /*
@@ -391,38 +1198,708 @@ function delegateMethod(target, parseArgs, args) {
 }
 
 /*
- * A method which simply does a shallow copy of the
- * source properties to the target object.
+ * A method which delegates method calls from the source object to the
+ * target object, and forwards reads and writes of the other properties
+ * from the target object to the source object.
  */
-function mixinMethod(target, parseArgs, args) {
-    return parseArgs(args);
+function liveDelegateMethod(target, parseArgs, args) {
+    var params = parseArgs(args);
+
+    params.filters.unshift(createExcludeNameFilter(/^_/));
+    params.filters.push(delegateFilter);
+    params.filters.push(createLiveFilter(params.readOnlyKeys));
+
+    return params;
 }
 
 /*
- * A method  which calls the function with a
- * "this" object and uses the resulting properties as the source
- * properties to copy to the target object.
+ * A method which delegates the properties which the target object cannot
+ * resolve to the source object at the time they are accessed. This allows
+ * properties added to the source object later to be delegated.
  */
-function callMethod(target, parseArgs, args) {
+function dynamicDelegateMethod(target, parseArgs, args, errorManager, dryRun) {
+    if (typeof Proxy === 'undefined' || !dynamicDelegates) {
+        errorManager.illegalArgument(args, 'Requires Proxy support.');
+    }
 
-    // The first argument should be a function or an array.
-    var func = args[0],
-        funcArgs = [],
-        modifiedArgs = [];
+    // Parse the arguments once, so that errors are reported immediately.
+    var params = parseArgs(args);
+    params.filters.unshift(createExcludeNameFilter(/^_/));
+    params.filters.push(delegateFilter);
 
-    // Handles [func, arg1, arg2, arg3], ...
-    if (isArray(func) && isFunction(func[0])) {
-        funcArgs = func.splice(1);
-        func = func[0];
-        modifiedArgs = args.splice(1);
+    // Nothing is applied to the target now, or when planning.
+    var delegate = {
+        target: target,
+        params: params,
+        sourceKeys: params.sourceKeys,
+        knownKeys: parseArgs([params.source]).sourceKeys,
+        cache: Object.create(null),
+        errors: errorManager
+    };
+    params.sourceKeys = Object.create(null);
 
-    } else if (isFunction(func)) {
-        funcArgs = args.splice(1);
+    if (dryRun) {
+        return params;
+    }
+
+    // Insert a proxy into the target's prototype chain, which is consulted
+    // when a property is not found in the target. The proxy inherits from
+    // the original prototype, so that instanceof still works.
+    var prototype = Object.getPrototypeOf(target);
+    var delegates = prototype && dynamicDelegates.get(prototype);
+    if (!delegates) {
+        delegates = [];
+        var proxy = createDynamicProxy(Object.create(prototype), delegates);
+        dynamicDelegates.set(proxy, delegates);
+        Object.setPrototypeOf(target, proxy);
+    }
+    delegates.push(delegate);
+
+    return params;
+}
+
+/*
+ * Removes the dynamic delegates of the target object to the source object,
+ * so that its properties are no longer resolved.
+ *
+ * @param {object} target The target object.
+ * @param {object} source The source object.
+ */
+function removeDynamicDelegates(target, source) {
+    var prototype = Object.getPrototypeOf(target),
+        delegates = dynamicDelegates && prototype &&
+        dynamicDelegates.get(prototype);
+
+    if (!delegates) {
+        return;
+    }
+    for (var i = delegates.length - 1; i >= 0; i--) {
+        if (delegates[i].target === target &&
+            delegates[i].params.source === source) {
+            delegates.splice(i, 1);
+        }
+    }
+}
+
+/*
+ * Creates a proxy which resolves the properties not found in the prototype
+ * chain using the delegates.
+ *
+ * @param {object} object An object which inherits from the prototype.
+ * @param {array} delegates The delegates in the order they were added.
+ * @returns {object} The proxy.
+ */
+function createDynamicProxy(object, delegates) {
+    return new Proxy(object, {
+        get: function(object, key, receiver) {
+            if (key in object) {
+                return Reflect.get(object, key, receiver);
+            }
+            var property = resolveDynamicProperty(delegates, key);
+            return property ? property.value : undefined;
+        },
+        has: function(object, key) {
+            return key in object ||
+                resolveDynamicProperty(delegates, key) !== undefined;
+        }
+    });
+}
+
+/*
+ * Resolves the property using the first delegate whose selectors and
+ * filters allow the property. Errors are not thrown, since the property
+ * is resolved by a proxy trap.
+ *
+ * @param {array} delegates The delegates in the order they were added.
+ * @param {string|symbol} key The target property key.
+ * @returns {object} The resolved property's value, or undefined.
+ */
+function resolveDynamicProperty(delegates, key) {
+    for (var i = 0; i < delegates.length; i++) {
+        var delegate = delegates[i],
+            source = delegate.params.source,
+            sourceKey = findDynamicSourceKey(delegate, key);
+
+        if (sourceKey !== undefined && sourceKey in source) {
+            var property = filterDynamicProperty(delegate, sourceKey, key);
+            if (property) {
+                return property;
+            }
+        }
+    }
+    return undefined;
+}
+
+/*
+ * Returns the source key which the delegate's selectors select for the
+ * target key, or undefined. The properties which existed when the method
+ * was called were selected then. The properties added later are selected
+ * if all the properties or a matching regular expression were selected.
+ *
+ * @param {object} delegate The delegate.
+ * @param {string|symbol} key The target property key.
+ * @returns {string|symbol} The source key.
+ */
+function findDynamicSourceKey(delegate, key) {
+    var sourceKeys = delegate.sourceKeys,
+        params = delegate.params,
+        keys = getOwnKeys(sourceKeys);
+
+    for (var i = 0; i < keys.length; i++) {
+        if (sourceKeys[keys[i]] === key) {
+            return keys[i];
+        }
+    }
+    if (key in sourceKeys || key in delegate.knownKeys ||
+        !isSelectableProperty(params.source, key)) {
+        return undefined;
+    }
+    if (params.selectsAll) {
+        return key;
+    }
+    for (var j = 0; j < params.regexps.length; j++) {
+        if (isString(key) && params.regexps[j].test(key)) {
+            return key;
+        }
+    }
+    return undefined;
+}
+
+/*
+ * Passes the source property through the delegate's filters. The result
+ * is cached until the source value changes, so that the same function is
+ * returned each time.
+ *
+ * @param {object} delegate The delegate.
+ * @param {string|symbol} sourceKey The source property key.
+ * @param {string|symbol} key The target property key.
+ * @returns {object} The filtered property's value, or undefined if a
+ *     filter rejected the property.
+ */
+function filterDynamicProperty(delegate, sourceKey, key) {
+    var source = delegate.params.source,
+        sourceValue = source[sourceKey],
+        cached = delegate.cache[key];
+
+    if (cached && cached.sourceValue === sourceValue) {
+        return cached.property;
+    }
+
+    var filterContext = {
+        target: delegate.target,
+        source: source,
+        sourceKey: sourceKey,
+        targetKey: key,
+        sourceValue: sourceValue,
+        descriptor: null,
+        errors: delegate.errors
+    };
+    var property;
+    try {
+        if (!applyFilters(filterContext, delegate.params.filters) &&
+            filterContext.targetKey === key) {
+            property = {
+                value: filterContext.sourceValue
+            };
+        }
+    } catch (error) {
+        property = undefined;
+    }
+
+    delegate.cache[key] = {
+        sourceValue: sourceValue,
+        property: property
+    };
+    return property;
+}
+
+/*
+ * A method which creates methods on the target object which call the
+ * same-named methods of every source object, and combine the results.
+ */
+function multicastMethod(target, parseArgs, args, errorManager) {
+    var sources = args.shift(),
+        combine = {
+            reducer: null // set once the arguments are parsed.
+        };
+
+    if (!isArray(sources)) {
+        errorManager.illegalArgument(sources, 'first argument must be an array');
+    }
+
+    // Create a source object containing a multicast function for each
+    // function in the source objects.
+    var source = {};
+    for (var j = 0; j < sources.length; j++) {
+        var sourceKeys = parseArgs([sources[j]]).sourceKeys,
+            keys = getOwnKeys(sourceKeys);
+
+        for (var k = 0; k < keys.length; k++) {
+            if (isFunction(sources[j][keys[k]]) && !(keys[k] in source)) {
+                source[keys[k]] = createMulticastFunction(sources, keys[k],
+                    combine);
+            }
+        }
+    }
+
+    args.unshift(source);
+
+    var params = parseArgs(args);
+    params.filters.unshift(createExcludeNameFilter(/^_/));
+
+    // Find how the results are combined.
+    var reducer = params.reducer || 'array';
+    combine.reducer = isFunction(reducer) ? reducer :
+        multicastReducers.hasOwnProperty(reducer) && multicastReducers[reducer];
+    if (!isFunction(combine.reducer)) {
+        errorManager.illegalArgument(reducer, 'Unknown multicast reducer.');
+    }
+
+    return params;
+}
+
+/*
+ * Returns a function which calls the function with the specified key in
+ * each of the source objects, and combines the results using the reducer.
+ *
+ * @param {array} sources The source objects.
+ * @param {string|symbol} key The function key.
+ * @param {object} combine The reducer which combines the results.
+ */
+function createMulticastFunction(sources, key, combine) {
+    return function() {
+        var results = [];
+        for (var i = 0; i < sources.length; i++) {
+            if (isFunction(sources[i][key])) {
+                results.push(fastApply(sources[i][key], sources[i], arguments));
+            }
+        }
+        return combine.reducer(results);
+    };
+}
+
+/*
+ * A method which simply does a shallow copy of the
+ * source properties to the target object.
+ */
+function mixinMethod(target, parseArgs, args) {
+    return parseArgs(args);
+}
+
+/*
+ * A method which recursively merges the plain objects of the source object
+ * into the target object. The source keys and target keys are the paths of
+ * the merged properties.
+ */
+function deepMethod(target, parseArgs, args, errorManager) {
+    var source = args.shift();
+
+    if (!isObject(source)) {
+        errorManager.illegalArgument(source, 'No source object found.');
+    }
+
+    args.unshift(flattenObject(source, '', {}));
+
+    var params = parseArgs(args);
+    params.deep = true;
+
+    // Find how arrays are merged. Without an array strategy, colliding
+    // arrays are resolved like any other property.
+    params.arrayStrategy = params.arrays ?
+        createArrayStrategy(params.arrays, errorManager) : null;
+
+    return params;
+}
+
+/*
+ * Returns the conflict resolver which merges colliding arrays.
+ */
+function createArrayStrategy(arraysArg, errorManager) {
+    switch (arraysArg.strategy) {
+        case 'replace':
+            return replaceResolver;
+        case 'concat':
+            return concatResolver;
+        case 'union':
+            return createUnionResolver(arraysArg.key);
+        default:
+            errorManager.illegalArgument(arraysArg.strategy,
+                'Unknown array strategy.');
+    }
+}
+
+/*
+ * Replaces the existing array with the existing items followed by the
+ * source items.
+ */
+function concatResolver(resolverContext) {
+    resolverContext.sourceValue =
+        resolverContext.existingValue.concat(resolverContext.sourceValue);
+    return true;
+}
+
+/*
+ * Returns a resolver which replaces the existing array with the union of
+ * the existing items and the source items. If a key is specified, a source
+ * item replaces the existing item with the same key value.
+ */
+function createUnionResolver(key) {
+    return function(resolverContext) {
+        var union = resolverContext.existingValue.slice(),
+            items = resolverContext.sourceValue;
+
+        for (var i = 0; i < items.length; i++) {
+            var index = indexOfItem(union, items[i], key);
+            if (index === -1) {
+                union.push(items[i]);
+            } else {
+                union[index] = items[i];
+            }
+        }
+        resolverContext.sourceValue = union;
+        return true;
+    };
+}
 
+/*
+ * Returns the index of the item in the array, comparing the values of the
+ * key if specified.
+ */
+function indexOfItem(array, item, key) {
+    if (key === undefined || !isObject(item)) {
+        return array.indexOf(item);
+    }
+    for (var i = 0; i < array.length; i++) {
+        if (isObject(array[i]) && array[i][key] === item[key]) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+/*
+ * A method which composes traits into the target object. Each trait is
+ * followed by the arguments which select its properties. Properties of
+ * different traits with the same target key conflict, regardless of the
+ * order of the traits.
+ */
+function traitsMethod(target, parseArgs, args, errorManager) {
+    var traits = [],
+        groups = [];
+
+    // Group each trait with the arguments which follow it.
+    for (var i = 0; i < args.length; i++) {
+        if (args[i] instanceof Trait) {
+            traits.push(args[i]);
+            groups.push([args[i].members]);
+        } else if (groups.length) {
+            groups[groups.length - 1].push(args[i]);
+        } else {
+            errorManager.illegalArgument(args[i], 'No trait found.');
+        }
+    }
+
+    var params = {
+        source: {},
+        filters: [],
+        sourceKeys: Object.create(null),
+        overrideKeys: Object.create(null),
+        readOnlyKeys: Object.create(null),
+        descriptors: false,
+        conflictStrategy: null,
+        conflictKeys: Object.create(null)
+    };
+
+    // The value of each composed property, to detect conflicts.
+    var composed = Object.create(null);
+
+    for (var j = 0; j < groups.length; j++) {
+        composeTrait(target, parseArgs(groups[j]), params, composed,
+            errorManager);
+    }
+
+    // The required properties must be in the target or another trait.
+    for (var t = 0; t < traits.length; t++) {
+        var requires = traits[t].requires;
+        for (var r = 0; r < requires.length; r++) {
+            if (!(requires[r] in composed) && !(requires[r] in target)) {
+                errorManager.requiredPropertyNotFound(requires[r], target);
+            }
+        }
+    }
+
+    return params;
+}
+
+/*
+ * Passes the selected properties of a trait through its filters, and adds
+ * them to the composed source object.
+ *
+ * @param {object} target The target object.
+ * @param {object} traitParams The values parsed from the trait arguments.
+ * @param {object} params The values for the composed source object.
+ * @param {object} composed The value of each composed property.
+ * @param {object} errorManager The errors that can be thrown.
+ */
+function composeTrait(target, traitParams, params, composed, errorManager) {
+    var source = traitParams.source,
+        keys = getOwnKeys(traitParams.sourceKeys);
+
+    var filterContext = {
+        target: target,
+        source: source,
+        sourceKey: null,
+        targetKey: null,
+        sourceValue: null,
+        descriptor: null,
+        errors: errorManager
+    };
+
+    for (var i = 0; i < keys.length; i++) {
+        var sourceKey = keys[i];
+
+        if (!(sourceKey in source)) {
+            errorManager.propertyNotFound(sourceKey, source);
+        }
+
+        filterContext.sourceKey = sourceKey;
+        filterContext.targetKey = traitParams.sourceKeys[sourceKey];
+        filterContext.descriptor = traitParams.descriptors ?
+            getPropertyDescriptor(source, sourceKey) : null;
+        filterContext.sourceValue = filterContext.descriptor ?
+            filterContext.descriptor.value : source[sourceKey];
+
+        if (!applyFilters(filterContext, traitParams.filters)) {
+            var targetKey = filterContext.targetKey,
+                descriptor = filterContext.descriptor,
+                value = descriptor ? descriptor.get || descriptor.value :
+                filterContext.sourceValue;
+
+            // The same value from different traits is not a conflict.
+            if (targetKey in composed && composed[targetKey] !== value) {
+                errorManager.traitConflict(targetKey);
+            }
+            composed[targetKey] = value;
+
+            if (descriptor) {
+                params.descriptors = true;
+                defineProperty(params.source, targetKey, descriptor,
+                    filterContext.sourceValue);
+            } else {
+                params.source[targetKey] = filterContext.sourceValue;
+            }
+            params.sourceKeys[targetKey] = targetKey;
+            params.overrideKeys[targetKey] = traitParams.overrideKeys[sourceKey];
+            params.readOnlyKeys[targetKey] = traitParams.readOnlyKeys[sourceKey];
+            params.conflictKeys[targetKey] = traitParams.conflictKeys[sourceKey] ||
+                traitParams.conflictStrategy;
+        }
+    }
+}
+
+/*
+ * A method which defines deprecated aliases on the target object. The
+ * first argument selects the aliases in the same way as the rename
+ * selector, where the keys are the old names and the values are the new
+ * names. Using an alias reports the deprecation once for each call site.
+ */
+function deprecatedMethod(target, parseArgs, args, errorManager) {
+    var renames = args.shift(),
+        aliases = {},
+        reported = {};
+
+    if (isMap(renames)) {
+        renames.forEach(function(newKey, oldKey) {
+            defineAlias(aliases, oldKey, newKey, reported, errorManager);
+        });
+    } else if (isObject(renames)) {
+        var keys = getOwnKeys(renames);
+        for (var i = 0; i < keys.length; i++) {
+            defineAlias(aliases, keys[i], renames[keys[i]], reported,
+                errorManager);
+        }
     } else {
-        errorManager.illegalArgument(args,
-            'first argument must be a function');
+        errorManager.illegalArgument(renames, 'No aliases found.');
+    }
+
+    args.unshift(aliases);
+
+    var params = parseArgs(args);
+    params.descriptors = true;
+    params.filters.push(hideAliasFilter);
+
+    return params;
+}
+
+/*
+ * Defines an alias which gets and sets the property with the new key, and
+ * reports the deprecation.
+ *
+ * @param {object} aliases The object to define the alias in.
+ * @param {string|symbol} oldKey The deprecated property key.
+ * @param {string|symbol} newKey The property key to use instead.
+ * @param {object} reported The call sites already reported.
+ * @param {object} errorManager The errors that can be thrown.
+ */
+function defineAlias(aliases, oldKey, newKey, reported, errorManager) {
+    if (!isString(newKey) && !isSymbol(newKey)) {
+        errorManager.illegalArgument(newKey,
+            'Target property name is not a string.');
+    }
+
+    function deprecated() {
+        var stack = '';
+
+        // Throw the error, as some engines only fill in the stack when
+        // it is thrown.
+        try {
+            throw new Error();
+        } catch (error) {
+            stack = isString(error.stack) ? error.stack : '';
+        }
+
+        // The first line of the stack which isn't the error, this function
+        // or the accessor is the call site. Without a stack, each alias is
+        // reported once.
+        var lines = stack.split('\n'),
+            callSite = lines[(/^Error/).test(lines[0]) ? 3 : 2] || '',
+            id = String(oldKey) + ' ' + callSite;
+
+        if (!reported[id]) {
+            reported[id] = true;
+            errorManager.propertyDeprecated(oldKey, newKey, callSite.trim());
+        }
+    }
+
+    Object.defineProperty(aliases, oldKey, {
+        get: function() {
+            deprecated();
+            return this[newKey];
+        },
+        set: function(value) {
+            deprecated();
+            this[newKey] = value;
+        },
+        enumerable: true,
+        configurable: true
+    });
+}
+
+/*
+ * A filter which makes the aliases non-enumerable in the target object.
+ */
+function hideAliasFilter(filterContext) {
+    if (filterContext.descriptor) {
+        filterContext.descriptor.enumerable = false;
+    }
+    return true;
+}
+
+/*
+ * Writes the message to the console, if there is one.
+ */
+function logWarning(message) {
+    if (typeof console !== 'undefined') {
+        console.warn(message);
     }
+}
+
+/*
+ * A method which wraps the target's methods with the source functions,
+ * so that the source functions are called before the target's methods.
+ */
+function beforeMethod(target, parseArgs, args) {
+    return adviseTarget(parseArgs(args), beforeAdvice);
+}
+
+/*
+ * A method which wraps the target's methods with the source functions,
+ * so that the source functions are called after the target's methods.
+ */
+function afterMethod(target, parseArgs, args) {
+    return adviseTarget(parseArgs(args), afterAdvice);
+}
+
+/*
+ * A method which wraps the target's methods with the source functions,
+ * so that the source functions decide when to call the target's methods.
+ */
+function aroundMethod(target, parseArgs, args) {
+    return adviseTarget(parseArgs(args), aroundAdvice);
+}
+
+/*
+ * Modifies the parameters so that the target's methods are replaced by
+ * the advised methods.
+ *
+ * @param {object} params The values from the parsed arguments.
+ * @param {function} advise Creates the advised method.
+ * @returns {object} The modified parameters.
+ */
+function adviseTarget(params, advise) {
+    params.filters.push(createAdviceFilter(advise));
+
+    // The advised methods are expected to exist.
+    params.conflictStrategy = 'replace';
+
+    return params;
+}
+
+/*
+ * Calls the advice and then the original method.
+ */
+function beforeAdvice(original, advice) {
+    return function() {
+        fastApply(advice, this, arguments);
+        return fastApply(original, this, arguments);
+    };
+}
+
+/*
+ * Calls the original method and then the advice with the result and the
+ * arguments. If the advice returns a value, it replaces the result.
+ */
+function afterAdvice(original, advice) {
+    return function() {
+        var result = fastApply(original, this, arguments);
+
+        var adviceArgs = [result];
+        for (var i = 0; i < arguments.length; i++) {
+            adviceArgs.push(arguments[i]);
+        }
+        var adviceResult = fastApply(advice, this, adviceArgs);
+        return adviceResult === undefined ? result : adviceResult;
+    };
+}
+
+/*
+ * Calls the advice with a function which proceeds to call the original
+ * method, followed by the arguments. If the proceed function is called
+ * without arguments, the original arguments are used.
+ */
+function aroundAdvice(original, advice) {
+    return function() {
+        var self = this,
+            args = arguments;
+
+        var adviceArgs = [function() {
+            return fastApply(original, self,
+                arguments.length ? arguments : args);
+        }];
+        for (var i = 0; i < arguments.length; i++) {
+            adviceArgs.push(arguments[i]);
+        }
+        return fastApply(advice, this, adviceArgs);
+    };
+}
+
+/*
+ * A method  which calls the function with a
+ * "this" object and uses the resulting properties as the source
+ * properties to copy to the target object.
+ */
+function callMethod(target, parseArgs, args, errorManager) {
+    var call = parseCallArgs(args, errorManager);
 
     // The source properties will be added here.
     var Scope = function() {};
@@ -431,133 +1908,1389 @@ function callMethod(target, parseArgs, args) {
     // so that it can make function calls for example.
     Scope.prototype = target;
 
-    // Apply with scope.
-    var scope = new Scope();
-    fastApply(func, scope, funcArgs);
+    // Apply with scope. Class constructors can only be invoked with new.
+    var scope;
+    if (isClass(call.func)) {
+        scope = Reflect.construct(call.func, call.funcArgs, Scope);
+    } else {
+        scope = new Scope();
+        fastApply(call.func, scope, call.funcArgs);
+    }
+
+    // Reconstruct the method args with the new source object.
+    call.modifiedArgs.unshift(createCallSource(scope, call));
+
+    return parseArgs(call.modifiedArgs);
+}
+
+/*
+ * A method which instantiates the constructor with new and uses the
+ * resulting properties as the source properties to copy to the target
+ * object.
+ */
+function newMethod(target, parseArgs, args, errorManager) {
+    var call = parseCallArgs(args, errorManager);
+
+    var instance = construct(call.func, call.funcArgs);
+
+    // Reconstruct the method args with the new source object.
+    call.modifiedArgs.unshift(createCallSource(instance, call));
+
+    return parseArgs(call.modifiedArgs);
+}
+
+/*
+ * Parses the arguments passed into a method which calls a function.
+ *
+ * Handles (func, arg1, arg2, arg3) and ([func, arg1, arg2, arg3], ...).
+ *
+ * @param {array} args The arguments passed to the method.
+ * @param {object} errorManager The errors that can be thrown.
+ * @returns {object} call The parsed arguments.
+ * @returns {function} call.func The function to call.
+ * @returns {array} call.funcArgs The arguments to call the function with.
+ * @returns {array} call.modifiedArgs The remaining method arguments.
+ * @returns {boolean} call.includePrototype
+ *     True if the function's prototype properties should be included in the
+ *     source object.
+ */
+function parseCallArgs(args, errorManager) {
+
+    // The first argument should be a function or an array.
+    var func = args[0],
+        funcArgs = [],
+        modifiedArgs = [];
+
+    // Handles [func, arg1, arg2, arg3], ...
+    if (isArray(func) && isFunction(func[0])) {
+        funcArgs = func.splice(1);
+        func = func[0];
+        modifiedArgs = args.splice(1);
+
+    } else if (isFunction(func)) {
+        funcArgs = args.splice(1);
+
+    } else {
+        errorManager.illegalArgument(args,
+            'first argument must be a function');
+    }
+
+    var includePrototype = removeArg(funcArgs, includePrototypeArg);
+    includePrototype = removeArg(modifiedArgs, includePrototypeArg) ||
+        includePrototype;
+
+    // The arguments of a recipe select the source properties, rather than
+    // being passed to the function.
+    for (var i = funcArgs.length - 1; i >= 0; i--) {
+        if (funcArgs[i] instanceof RecipeArg) {
+            modifiedArgs.unshift(funcArgs.splice(i, 1)[0]);
+        }
+    }
+
+    return {
+        func: func,
+        funcArgs: funcArgs,
+        modifiedArgs: modifiedArgs,
+        includePrototype: includePrototype
+    };
+}
+
+/*
+ * Creates the source object from the properties of the object created by
+ * calling the function.
+ *
+ * @param {object} object The object created by calling the function.
+ * @param {object} call The parsed arguments.
+ * @returns {object} The source object.
+ */
+function createCallSource(object, call) {
+    var source = call.includePrototype ? Object.create(call.func.prototype) : {};
 
     // Copy the non-prototype properties to source.
-    var source = {};
-    for (var key in scope) {
-        if (scope.hasOwnProperty(key)) {
-            source[key] = scope[key];
+    var keys = getOwnKeys(object);
+    for (var i = 0; i < keys.length; i++) {
+        if (Object.prototype.propertyIsEnumerable.call(object, keys[i])) {
+            source[keys[i]] = object[keys[i]];
+        }
+    }
+    return source;
+}
+
+//--------------------------------------
+// Conflict resolvers
+//--------------------------------------
+
+/*
+ * Creates an object for managing the conflict resolvers.
+ *
+ * @param {object} errorManager The errors that can be thrown.
+ */
+function createResolversManager(errorManager) {
+    var resolvers = Object.create(null);
+
+    return {
+        addResolver: addResolver,
+        resolve: resolve
+    };
+
+    /*
+     * Adds a resolver for the specified conflict strategy name.
+     *
+     * @param {string} name The conflict strategy name.
+     * @param {function} [resolver] The resolver for the strategy name.
+     * @return {function} The resolver for the strategy name.
+     */
+    function addResolver(name, resolver) {
+        if (resolver !== undefined) {
+            resolvers[name] = resolver;
+        }
+        return resolvers[name];
+    }
+
+    /*
+     * Resolves the collision using the conflict strategy. The resolved
+     * value is copied to the filter context.
+     *
+     * @param {string|function} strategy The resolver name or the resolver.
+     * @param {object} resolverContext The colliding property.
+     * @param {object} filterContext The filtered property.
+     * @returns {boolean} True if the resolved value should be applied.
+     */
+    function resolve(strategy, resolverContext, filterContext) {
+        var resolver = isFunction(strategy) ? strategy : resolvers[strategy];
+        if (!isFunction(resolver)) {
+            errorManager.illegalArgument(strategy, 'Unknown conflict strategy.');
+        }
+        if (!resolver(resolverContext)) {
+            return false;
+        }
+        filterContext.sourceValue = resolverContext.sourceValue;
+        return true;
+    }
+}
+
+/*
+ * Reports an error. If the error is ignored, the property is replaced.
+ */
+function errorResolver(resolverContext) {
+    resolverContext.errors.propertyOverride(resolverContext.targetKey,
+        resolverContext.target);
+    return true;
+}
+
+/*
+ * Replaces the existing property.
+ */
+function replaceResolver() {
+    return true;
+}
+
+/*
+ * Keeps the existing property.
+ */
+function keepExistingResolver() {
+    return false;
+}
+
+/*
+ * Replaces the existing function with a function which calls the existing
+ * function and then the source function, returning the last result.
+ */
+function chainResolver(resolverContext) {
+    var first = resolverContext.existingValue,
+        second = resolverContext.sourceValue;
+
+    if (!isFunction(first) || !isFunction(second)) {
+        return errorResolver(resolverContext);
+    }
+    resolverContext.sourceValue = function() {
+        fastApply(first, this, arguments);
+        return fastApply(second, this, arguments);
+    };
+    return true;
+}
+
+/*
+ * Replaces the existing function with a function which calls the existing
+ * function, and then passes its result to the source function.
+ */
+function pipeResolver(resolverContext) {
+    var first = resolverContext.existingValue,
+        second = resolverContext.sourceValue;
+
+    if (!isFunction(first) || !isFunction(second)) {
+        return errorResolver(resolverContext);
+    }
+    resolverContext.sourceValue = function() {
+        return second.call(this, fastApply(first, this, arguments));
+    };
+    return true;
+}
+
+/*
+ * Replaces the existing plain object with a new plain object containing
+ * the properties of the existing object and then the source object.
+ */
+function mergeResolver(resolverContext) {
+    var existing = resolverContext.existingValue,
+        value = resolverContext.sourceValue;
+
+    if (!isPlainObject(existing) || !isPlainObject(value)) {
+        return errorResolver(resolverContext);
+    }
+    var merged = {},
+        i;
+
+    var keys = getOwnKeys(existing);
+    for (i = 0; i < keys.length; i++) {
+        merged[keys[i]] = existing[keys[i]];
+    }
+    keys = getOwnKeys(value);
+    for (i = 0; i < keys.length; i++) {
+        merged[keys[i]] = value[keys[i]];
+    }
+    resolverContext.sourceValue = merged;
+    return true;
+}
+
+//--------------------------------------
+// Recipes
+//--------------------------------------
+
+/*
+ * A recipe which can be stored as JSON.
+ *
+ * @typedef {object} jsonRecipe
+ * @property {string} [name] The name to register the recipe with.
+ * @property {string} [method] The method to call.
+ * @property {string} [base] The name of the recipe to extend.
+ * @property {array} [include] The keys of the properties to select.
+ * @property {array} [exclude] The keys of the properties to filter out.
+ * @property {array} [patterns]
+ *     The regular expressions which select properties. Each pattern is a
+ *     string, or an object with pattern and flags strings.
+ * @property {object} [rename]
+ *     The keys of the object are the source keys to select. The values of
+ *     the object are the target keys.
+ * @property {array} [override]
+ *     The keys of the properties which replace existing properties.
+ * @property {array} [filters] The names of the filters.
+ */
+
+// The properties of a JSON recipe.
+var jsonRecipeFields = ['name', 'method', 'base', 'include', 'exclude',
+    'patterns', 'rename', 'override', 'filters'];
+
+/*
+ * Creates an object for managing named recipes. A recipe is a list of
+ * method arguments, and the name of the method to call with them.
+ *
+ * @param {object} errorManager The errors that can be thrown.
+ */
+function createRecipesManager(errorManager) {
+    var recipes = Object.create(null),
+        filters = Object.create(null);
+
+    return {
+        addRecipe: addRecipe,
+        addFilter: addFilter,
+        loadRecipe: loadRecipe,
+        getRecipeArgs: getRecipeArgs,
+        getRecipeMethod: getRecipeMethod
+    };
+
+    /*
+     * Adds a filter which JSON recipes can refer to by name.
+     *
+     * @param {string} name The filter name.
+     * @param {function} [filter] The filter.
+     * @return {function} The filter with the specified name.
+     */
+    function addFilter(name, filter) {
+        if (filter !== undefined) {
+            filters[name] = filter;
+        }
+        return filters[name];
+    }
+
+    /*
+     * Converts a JSON recipe into method arguments. If the recipe has a
+     * name, it is also added as a recipe.
+     *
+     * @param {object|string} json The jsonRecipe, or its JSON text.
+     * @returns {array} The method arguments.
+     */
+    function loadRecipe(json) {
+        var recipe = json;
+        if (isString(json)) {
+            try {
+                recipe = JSON.parse(json);
+            } catch (error) {
+                errorManager.illegalArgument(json, error.message);
+            }
+        }
+
+        if (!isPlainObject(recipe)) {
+            errorManager.illegalArgument(recipe, 'Recipe is not an object.');
+        }
+        for (var field in recipe) {
+            if (jsonRecipeFields.indexOf(field) === -1) {
+                errorManager.illegalArgument(field, 'Unknown recipe field.');
+            }
+        }
+
+        // The method and base are only used by named recipes.
+        if (recipe.name === undefined) {
+            if (recipe.method !== undefined) {
+                errorManager.illegalArgument(recipe.method,
+                    'method requires a recipe name');
+            }
+            if (recipe.base !== undefined) {
+                errorManager.illegalArgument(recipe.base,
+                    'base requires a recipe name');
+            }
+        }
+
+        var args = getStrings(recipe, 'include');
+
+        var patterns = getArray(recipe, 'patterns');
+        for (var i = 0; i < patterns.length; i++) {
+            args.push(createPattern(patterns[i]));
+        }
+
+        if (recipe.rename !== undefined) {
+            if (!isPlainObject(recipe.rename)) {
+                errorManager.illegalArgument(recipe.rename,
+                    'rename must be an object');
+            }
+            args.push(recipe.rename);
+        }
+
+        var exclude = getStrings(recipe, 'exclude');
+        if (exclude.length) {
+            args.push(createExcludeKeysFilter(exclude));
+        }
+
+        var override = getStrings(recipe, 'override');
+        if (override.length) {
+            args.push(new ConflictArg('replace', override));
+        }
+
+        var filterNames = getStrings(recipe, 'filters');
+        for (var j = 0; j < filterNames.length; j++) {
+            if (!isFunction(filters[filterNames[j]])) {
+                errorManager.illegalArgument(filterNames[j], 'Unknown filter.');
+            }
+            args.push(filters[filterNames[j]]);
+        }
+
+        if (recipe.name !== undefined) {
+            addRecipe(recipe.name, args, {
+                method: recipe.method,
+                base: recipe.base
+            });
+        }
+        return args;
+    }
+
+    /*
+     * Returns the array in the field of the JSON recipe.
+     */
+    function getArray(recipe, field) {
+        var value = recipe[field] === undefined ? [] : recipe[field];
+        if (!isArray(value)) {
+            errorManager.illegalArgument(value, field + ' must be an array');
+        }
+        return value;
+    }
+
+    /*
+     * Returns a copy of the array of strings in the field of the JSON recipe.
+     */
+    function getStrings(recipe, field) {
+        var value = getArray(recipe, field);
+        for (var i = 0; i < value.length; i++) {
+            if (!isString(value[i])) {
+                errorManager.illegalArgument(value[i],
+                    field + ' must contain strings');
+            }
+        }
+        return value.slice();
+    }
+
+    /*
+     * Returns the regular expression for a pattern of a JSON recipe.
+     */
+    function createPattern(pattern) {
+        var regexp = isString(pattern) ? {
+            pattern: pattern
+        } : pattern;
+
+        if (!isPlainObject(regexp) || !isString(regexp.pattern)) {
+            errorManager.illegalArgument(pattern, 'Pattern is not a string.');
+        }
+        try {
+            return new RegExp(regexp.pattern, regexp.flags);
+        } catch (error) {
+            errorManager.illegalArgument(pattern, error.message);
+        }
+    }
+
+    /*
+     * Adds a recipe.
+     *
+     * @param {string} name The recipe name.
+     * @param {array} [args] The method arguments of the recipe.
+     * @param {object} [options]
+     * @param {string} [options.method='with'] The method to call.
+     * @param {string} [options.base]
+     *     The name of the recipe whose arguments precede the arguments of
+     *     this recipe, and whose method is called if none is specified.
+     * @return {object} The recipe with the specified name.
+     */
+    function addRecipe(name, args, options) {
+        if (args !== undefined) {
+            options = options || {};
+            recipes[name] = {
+                args: isArray(args) ? args : [args],
+                method: options.method,
+                base: options.base
+            };
+        }
+        return recipes[name];
+    }
+
+    /*
+     * Returns the recipe, checking that it and the recipes it extends
+     * exist.
+     */
+    function getRecipe(name, extending) {
+        var recipe = recipes[name];
+        if (!recipe) {
+            errorManager.illegalArgument(name, 'Unknown recipe.');
+        }
+        extending = extending || [];
+        if (extending.indexOf(name) !== -1) {
+            errorManager.illegalArgument(name, 'Recipe extends itself.');
+        }
+        extending.push(name);
+        if (recipe.base !== undefined) {
+            getRecipe(recipe.base, extending);
+        }
+        return recipe;
+    }
+
+    /*
+     * Returns the method arguments of the recipe, preceded by the
+     * arguments of the recipes it extends.
+     *
+     * @param {string} name The recipe name.
+     * @returns {array} The method arguments.
+     */
+    function getRecipeArgs(name) {
+        var recipe = getRecipe(name),
+            args = recipe.base !== undefined ? getRecipeArgs(recipe.base) : [];
+        return args.concat(recipe.args);
+    }
+
+    /*
+     * Returns the name of the method to call for the recipe.
+     *
+     * @param {string} name The recipe name.
+     * @returns {string} The method name.
+     */
+    function getRecipeMethod(name) {
+        var recipe = getRecipe(name);
+        if (recipe.method !== undefined) {
+            return recipe.method;
+        }
+        return recipe.base !== undefined ? getRecipeMethod(recipe.base) : 'with';
+    }
+}
+
+/*
+ * Returns a selector which adds the method arguments of the recipe.
+ *
+ * @param {object} recipesManager The named recipes.
+ */
+function createRecipeSelector(recipesManager) {
+    return function(selectorContext) {
+        selectorContext.methodArgs.push(
+            recipesManager.getRecipeArgs(selectorContext.sourceKey));
+    };
+}
+
+//--------------------------------------
+// Provenance
+//--------------------------------------
+
+/*
+ * The provenance of a property applied to a target object.
+ *
+ * @typedef {object} provenance
+ * @property {string|symbol} targetKey - The target property key.
+ * @property {string|symbol} sourceKey - The source property key.
+ * @property {object} source - The source object.
+ * @property {string} method - The name of the method which applied it.
+ * @property {array} filters - The filters the property passed through.
+ * @property {boolean} override - True if a collision was not an error.
+ * @property {object} previous
+ *     The descriptor of the target's own property before the property was
+ *     applied, or undefined.
+ */
+
+/*
+ * Creates an object for recording where the properties of the target
+ * objects came from.
+ */
+function createProvenanceManager() {
+
+    // Target objects are not kept alive by the registry. If WeakMap is not
+    // supported, nothing is recorded.
+    var registry = typeof WeakMap !== 'undefined' ? new WeakMap() : null;
+
+    return {
+        record: record,
+        describe: describe,
+        detach: detach
+    };
+
+    /*
+     * Records the provenance of the properties applied by a method.
+     *
+     * @param {object} target The target object.
+     * @param {string} name The method name.
+     * @param {object} params The values returned by the method.
+     * @param {array} properties The propertyReport of each selected property.
+     * @param {*} origin The first argument passed to the method.
+     */
+    function record(target, name, params, properties, origin) {
+        if (!registry) {
+            return;
+        }
+        var records = registry.get(target);
+        if (!records) {
+            records = [];
+            registry.set(target, records);
+        }
+        for (var i = 0; i < properties.length; i++) {
+            if (properties[i].applied) {
+                records.push({
+                    targetKey: properties[i].targetKey,
+                    sourceKey: properties[i].sourceKey,
+                    source: params.source,
+                    origin: origin,
+                    method: name,
+                    filters: params.filters.slice(),
+                    override: properties[i].override,
+                    previous: properties[i].previous
+                });
+            }
+        }
+    }
+
+    /*
+     * Describes where the properties of the target object came from.
+     *
+     * @param {object} target The target object.
+     * @param {string|symbol} [targetKey] The target property key.
+     * @returns {array|object}
+     *     The provenance of each applied property in the order applied,
+     *     or if a target key is specified, the provenance of the last
+     *     property applied to the target key.
+     */
+    function describe(target, targetKey) {
+        var records = (registry && registry.get(target)) || [];
+
+        if (arguments.length > 1) {
+            for (var i = records.length - 1; i >= 0; i--) {
+                if (records[i].targetKey === targetKey) {
+                    return records[i];
+                }
+            }
+            return undefined;
+        }
+        return records.slice();
+    }
+
+    /*
+     * Removes the properties applied from the source object, and restores
+     * the properties they replaced. The source is either the source object,
+     * or the first argument passed to the method, such as the function
+     * called by .withCall() or the array of .withMulticast().
+     *
+     * @param {object} target The target object.
+     * @param {*} source The source object or method argument.
+     */
+    function detach(target, source) {
+        var records = (registry && registry.get(target)) || [];
+
+        for (var i = records.length - 1; i >= 0; i--) {
+            if (records[i].source === source ||
+                isOrigin(records[i].origin, source)) {
+                var replacedBy = findNextRecord(records, i);
+
+                if (replacedBy) {
+                    // The property has since been replaced, so the replacing
+                    // property should restore what this property replaced.
+                    replacedBy.previous = records[i].previous;
+
+                } else if (records[i].previous) {
+                    Object.defineProperty(target, records[i].targetKey,
+                        records[i].previous);
+
+                } else {
+                    delete target[records[i].targetKey];
+                }
+                records.splice(i, 1);
+            }
+        }
+    }
+
+    /*
+     * Returns true if the source was passed to the method as the first
+     * argument, or as the function of the array form of .withCall() and
+     * .withNew().
+     */
+    function isOrigin(origin, source) {
+        return origin === source ||
+            (isArray(origin) && isFunction(source) && origin[0] === source);
+    }
+
+    /*
+     * Returns the next record which applied a property to the same
+     * target key as the specified record.
+     */
+    function findNextRecord(records, index) {
+        for (var i = index + 1; i < records.length; i++) {
+            if (records[i].targetKey === records[index].targetKey) {
+                return records[i];
+            }
+        }
+        return undefined;
+    }
+}
+
+//--------------------------------------
+// Selectors
+//--------------------------------------
+
+/*
+ * Creates an object for managing string selectors.
+ *
+ * @param {object} config The configuration options.
+ * @param {object} errorManager The errors that can be thrown.
+ */
+function createSelectorsManager(config, errorManager) {
+    var selectors = {};
+
+    return {
+        addSelector: addSelector,
+        findSelector: findSelector,
+        executeSelector: executeSelector
+    };
+
+    /*
+     * Add a selector that matches source keys that start with the
+     * specified prefix.
+     *
+     * @param {string} prefix
+     * @param {function} [selector] The selector for the specified prefix.
+     * @return {function} The selector for the specified prefix.
+     */
+    function addSelector(prefix, selector) {
+        if (selector !== undefined) {
+            selectors[prefix] = selector;
+        }
+        return selectors[prefix];
+    }
+
+    /*
+     * Checks whether the source key matches one of the existing selectors.
+     * If it does, the selector's handler is invoked on the source key.
+     *
+     * @param {object} source The source object.
+     * @param {string} sourceKey The source object key.
+     * @param {string} targetKey The target object key.
+     * @param {object} sourceKeys The keys of the source properties to merge.
+     * @param {object} overrideKeys
+     *    The keys of the source properties to not report an error if the
+     *    property already exists in the target object.
+     * @param {object} readOnlyKeys
+     *    The keys of the source properties which are read-only when
+     *    delegated live.
+     * @param {array} methodArgs The method arguments not yet parsed.
+     */
+    function executeSelector(source, sourceKey, targetKey,
+        sourceKeys, overrideKeys, readOnlyKeys, methodArgs) {
+
+        var found = findSelector(sourceKey);
+        if (!found) {
+            return false;
+        }
+
+        // Execute the selector's handler.
+        found.selector({
+            source: source,
+            sourceKey: found.sourceKey,
+            targetKey: targetKey ? targetKey : found.sourceKey,
+            sourceKeys: sourceKeys,
+            overrideKeys: overrideKeys,
+            readOnlyKeys: readOnlyKeys,
+            methodArgs: methodArgs,
+            config: config,
+            errors: errorManager
+        });
+
+        return true;
+    }
+
+    /*
+     * Finds the selector whose prefix the source key starts with.
+     *
+     * @param {string} sourceKey The source object key.
+     * @returns {object} The selector and the source key without the prefix,
+     *     or null if there is no matching selector.
+     */
+    function findSelector(sourceKey) {
+        for (var prefix in selectors) {
+            // sourceKey starts with selector's prefix
+            if (sourceKey.indexOf(prefix) === 0) {
+                return {
+                    selector: selectors[prefix],
+                    sourceKey: sourceKey.substring(prefix.length)
+                };
+            }
+        }
+        return null;
+    }
+}
+
+/*
+ * Selects all properties except the negated one.
+ */
+function negationSelector(selectorContext) {
+    // If no properties currently selected, select them all first.
+    if (isEmpty(selectorContext.sourceKeys)) {
+        extendSourceKeys(selectorContext.sourceKeys, selectorContext.source,
+            selectorContext.config);
+    }
+    // Then remove the negated property.
+    if (selectorContext.sourceKeys[selectorContext.sourceKey] !== undefined) {
+        delete selectorContext.sourceKeys[selectorContext.sourceKey];
+
+    } else {
+        // Throw error if negated property not found.
+        selectorContext.errors.propertyNotFound(selectorContext.sourceKey,
+            selectorContext.source);
+    }
+}
+
+/*
+ * Selects the property, but does not generate an error if the property
+ * already exists in target.
+ */
+function overrideSelector(selectorContext) {
+    selectorContext.overrideKeys[selectorContext.sourceKey] = true;
+    selectorContext.sourceKeys[selectorContext.sourceKey] = selectorContext.targetKey;
+}
+
+/*
+ * Selects the property, but does not allow it to be written to when
+ * delegated live.
+ */
+function readOnlySelector(selectorContext) {
+    selectorContext.readOnlyKeys[selectorContext.sourceKey] = true;
+    selectorContext.sourceKeys[selectorContext.sourceKey] = selectorContext.targetKey;
+}
+
+//--------------------------------------
+// Filters
+//--------------------------------------
+
+/*
+ * Returns a filter which excludes properties that match the
+ * provided regexp.
+ *
+ * @param {RegExp}
+ * @returns {function} The filter.
+ */
+function createExcludeNameFilter(regexp) {
+    return function(filterContext) {
+        return isSymbol(filterContext.sourceKey) ||
+            !regexp.test(filterContext.sourceKey);
+    };
+}
+
+/*
+ * Returns a filter which includes only properties that match the
+ * provided regexp.
+ *
+ * @param {RegExp}
+ * @returns {function} The filter.
+ */
+function createIncludeNameFilter(regexp) {
+    return function(filterContext) {
+        return !isSymbol(filterContext.sourceKey) &&
+            regexp.test(filterContext.sourceKey);
+    };
+}
+
+/*
+ * Returns a filter which binds functions to the target object, the source
+ * object, or the provided object.
+ *
+ * @param {string|object} object 'target', 'source' or the object.
+ * @returns {function} The filter.
+ */
+function createBindFilter(object) {
+    return function(filterContext) {
+        if (isFunction(filterContext.sourceValue)) {
+            var func = filterContext.sourceValue,
+                scope = object;
+            if (object === 'target') {
+                scope = filterContext.target;
+            } else if (object === 'source') {
+                scope = filterContext.source;
+            }
+            filterContext.sourceValue = function() {
+                return fastApply(func, scope, arguments);
+            };
+        }
+        return true;
+    };
+}
+
+/*
+ * A filter which includes only functions.
+ */
+function onlyFunctionsFilter(filterContext) {
+    return isFunction(filterContext.sourceValue);
+}
+
+/*
+ * A filter which excludes functions.
+ */
+function onlyDataFilter(filterContext) {
+    return !isFunction(filterContext.sourceValue);
+}
+
+/*
+ * A filter which makes the target property read-only.
+ */
+function readOnlyFilter(filterContext) {
+    var descriptor = filterContext.descriptor;
+    if (!descriptor) {
+        filterContext.descriptor = {
+            writable: false,
+            enumerable: true,
+            configurable: true
+        };
+    } else if (descriptor.get || descriptor.set) {
+        descriptor.set = undefined;
+    } else {
+        descriptor.writable = false;
+    }
+    return true;
+}
+
+/*
+ * Returns a filter which adds a prefix to the target key.
+ *
+ * @param {string} prefix
+ * @returns {function} The filter.
+ */
+function createPrefixFilter(prefix) {
+    return function(filterContext) {
+        if (!isSymbol(filterContext.targetKey)) {
+            filterContext.targetKey = prefix + filterContext.targetKey;
+        }
+        return true;
+    };
+}
+
+/*
+ * Returns a filter which adds a suffix to the target key.
+ *
+ * @param {string} suffix
+ * @returns {function} The filter.
+ */
+function createSuffixFilter(suffix) {
+    return function(filterContext) {
+        if (!isSymbol(filterContext.targetKey)) {
+            filterContext.targetKey += suffix;
+        }
+        return true;
+    };
+}
+
+/*
+ * Returns a filter which replaces the source value with the value
+ * returned by the function.
+ *
+ * @param {function} func Called with the source value and the filterContext.
+ * @returns {function} The filter.
+ */
+function createMapValueFilter(func) {
+    return function(filterContext) {
+        filterContext.sourceValue = func(filterContext.sourceValue,
+            filterContext);
+        return true;
+    };
+}
+
+/*
+ * Returns a filter which applies the filter only to the properties which
+ * match the predicate.
+ *
+ * @param {function} predicate Called with the filterContext.
+ * @param {function} filter
+ * @returns {function} The filter.
+ */
+function createWhenFilter(predicate, filter) {
+    return function(filterContext) {
+        return !predicate(filterContext) || filter(filterContext);
+    };
+}
+
+/*
+ * Returns a filter which caches the results of functions. The results are
+ * cached for each object the function is called on. If the function is
+ * called on an unrelated object, as when delegated, the results are cached
+ * for the target object.
+ *
+ * @param {object} [options]
+ * @param {function} [options.key]
+ *     Returns the string cache key for the function arguments. The default
+ *     is the JSON of the arguments.
+ * @param {number} [options.maxSize=Infinity]
+ *     The maximum number of results for each cache. The least recently used
+ *     result is evicted.
+ * @param {number} [options.ttl=Infinity]
+ *     The number of milliseconds a result is cached for.
+ * @param {object} errorManager The errors that can be thrown.
+ * @returns {function} The filter. Calling its clear() method clears all the
+ *     caches created by the filter.
+ */
+function createMemoizeFilter(options, errorManager) {
+    options = options || {};
+
+    var resolveKey = options.key || memoizeKey,
+        maxSize = options.maxSize === undefined ? Infinity : options.maxSize,
+        ttl = options.ttl === undefined ? Infinity : options.ttl;
+
+    if (!(maxSize > 0)) {
+        errorManager.illegalArgument(maxSize,
+            'maxSize must be a positive number');
+    }
+    if (!(ttl > 0)) {
+        errorManager.illegalArgument(ttl, 'ttl must be a positive number');
+    }
+
+    // Caches with an older generation were cleared.
+    var state = {
+        generation: 0
+    };
+
+    function memoizeFilter(filterContext) {
+        if (isFunction(filterContext.sourceValue)) {
+            filterContext.sourceValue = createMemoizedFunction(
+                filterContext.sourceValue, filterContext.target,
+                filterContext.targetKey, resolveKey, function() {
+                    var cache = createLruCache(maxSize, ttl);
+                    cache.generation = state.generation;
+                    return cache;
+                }, state);
+        }
+        return true;
+    }
+
+    memoizeFilter.clear = function() {
+        state.generation++;
+    };
+
+    return memoizeFilter;
+}
+
+/*
+ * Returns a function which caches the results of the function.
+ *
+ * @param {function} func The function.
+ * @param {object} target The target object.
+ * @param {string|symbol} targetKey The target key.
+ * @param {function} resolveKey Returns the cache key for the arguments.
+ * @param {function} createCache Returns a new cache.
+ * @param {object} state The generation of the filter's caches.
+ */
+function createMemoizedFunction(func, target, targetKey, resolveKey,
+    createCache, state) {
+    var caches = memoizeCaches ? new WeakMap() : null,
+        sharedCache = null;
+
+    return function() {
+        // Cache the results for the object the function is called on,
+        // unless it's unrelated to the target.
+        var scope = isObject(this) &&
+            (this === target || target.isPrototypeOf(this)) ? this : target,
+            cache = caches ? caches.get(scope) : sharedCache;
+
+        if (!cache) {
+            cache = createCache();
+            if (caches) {
+                caches.set(scope, cache);
+                registerMemoizeCache(scope, targetKey, cache);
+            } else {
+                sharedCache = cache;
+            }
+        } else if (cache.generation !== state.generation) {
+            cache.clear();
+            cache.generation = state.generation;
+        }
+
+        var key = fastApply(resolveKey, this, arguments),
+            entry = cache.get(key);
+
+        if (entry) {
+            return entry.value;
+        }
+        var value = fastApply(func, this, arguments);
+        cache.set(key, value);
+        return value;
+    };
+}
+
+/*
+ * Returns the default cache key for the function arguments.
+ */
+function memoizeKey() {
+    return stringify(Array.prototype.slice.call(arguments));
+}
+
+/*
+ * Records the cache of the object's memoized method, so that it can be
+ * cleared.
+ */
+function registerMemoizeCache(object, targetKey, cache) {
+    var keys = memoizeCaches.get(object);
+    if (!keys) {
+        keys = Object.create(null);
+        memoizeCaches.set(object, keys);
+    }
+    keys[targetKey] = keys[targetKey] || [];
+    keys[targetKey].push(cache);
+}
+
+/*
+ * Clears the caches of the memoized methods of the object.
+ *
+ * @param {object} object The object the methods cache results for.
+ * @param {string|symbol} [targetKey]
+ *     The method name. If not specified, the caches of all the methods are
+ *     cleared.
+ */
+function clearMemoizeCaches(object, targetKey) {
+    var keys = memoizeCaches && memoizeCaches.get(object);
+    if (!keys) {
+        return;
+    }
+    var targetKeys = arguments.length > 1 ? [targetKey] : getOwnKeys(keys);
+    for (var i = 0; i < targetKeys.length; i++) {
+        var caches = keys[targetKeys[i]] || [];
+        for (var j = 0; j < caches.length; j++) {
+            caches[j].clear();
+        }
+    }
+}
+
+/*
+ * Creates a cache which evicts the least recently used entry when it is
+ * full, and expires entries after the time to live.
+ *
+ * @param {number} maxSize The maximum number of entries.
+ * @param {number} ttl The number of milliseconds an entry is kept for.
+ */
+function createLruCache(maxSize, ttl) {
+    var entries = Object.create(null),
+        order = []; // keys from least to most recently used
+
+    return {
+        get: get,
+        set: set,
+        clear: clear
+    };
+
+    function get(key) {
+        var entry = entries[key];
+        if (!entry) {
+            return undefined;
+        }
+        order.splice(order.indexOf(key), 1);
+        if (Date.now() - entry.time >= ttl) {
+            delete entries[key];
+            return undefined;
+        }
+        order.push(key);
+        return entry;
+    }
+
+    function set(key, value) {
+        if (entries[key]) {
+            order.splice(order.indexOf(key), 1);
+        } else if (order.length >= maxSize) {
+            delete entries[order.shift()];
+        }
+        entries[key] = {
+            value: value,
+            time: Date.now()
+        };
+        order.push(key);
+    }
+
+    function clear() {
+        entries = Object.create(null);
+        order = [];
+    }
+}
+
+/*
+ * The event sent to a trace sink when a traced function returns, throws,
+ * or the promise it returned settles.
+ *
+ * @typedef {object} traceEvent
+ * @property {string|symbol} targetKey - The target key.
+ * @property {string|symbol} sourceKey - The source property key.
+ * @property {object} source - The source object.
+ * @property {array} args - A string summarizing each argument.
+ * @property {number} duration - The number of milliseconds the call took.
+ * @property {*} error - The error thrown or the rejection reason, if any.
+ * @property {string} promise
+ *     'fulfilled' or 'rejected' if the function returned a promise,
+ *     otherwise undefined.
+ */
+
+/*
+ * Returns a filter which wraps functions so that each call sends a
+ * traceEvent to the sink.
+ *
+ * @param {function} sink Called with the traceEvent.
+ * @returns {function} The filter.
+ */
+function createTraceFilter(sink) {
+    return function(filterContext) {
+        if (isFunction(filterContext.sourceValue)) {
+            filterContext.sourceValue = createTracedFunction(
+                filterContext.sourceValue, {
+                    targetKey: filterContext.targetKey,
+                    sourceKey: filterContext.sourceKey,
+                    source: filterContext.source
+                }, sink);
+        }
+        return true;
+    };
+}
+
+/*
+ * Returns a function which calls the function and sends a traceEvent to
+ * the sink. Errors thrown by the sink are ignored.
+ *
+ * @param {function} func The function.
+ * @param {object} property The keys and source of the function.
+ * @param {function} sink Called with the traceEvent.
+ */
+function createTracedFunction(func, property, sink) {
+    return function() {
+        var start = Date.now(),
+            args = summarizeArgs(arguments),
+            result;
+
+        function send(error, promise) {
+            try {
+                sink({
+                    targetKey: property.targetKey,
+                    sourceKey: property.sourceKey,
+                    source: property.source,
+                    args: args,
+                    duration: Date.now() - start,
+                    error: error,
+                    promise: promise
+                });
+            } catch (sinkError) {
+                // A failing sink doesn't change the outcome of the call.
+            }
         }
-    }
 
-    // Reconstruct the method args with the new source object.
-    modifiedArgs.unshift(source);
+        try {
+            result = fastApply(func, this, arguments);
+        } catch (error) {
+            send(error);
+            throw error;
+        }
 
-    return parseArgs(modifiedArgs);
+        if (result && isFunction(result.then)) {
+            result.then(function() {
+                send(undefined, 'fulfilled');
+            }, function(reason) {
+                send(reason, 'rejected');
+            });
+        } else {
+            send();
+        }
+        return result;
+    };
 }
 
-//--------------------------------------
-// Selectors
-//--------------------------------------
-
 /*
- * Creates an object for managing string selectors.
+ * Returns a short string describing each argument.
  */
-function createSelectorsManager() {
-    var selectors = {};
-
-    return {
-        addSelector: addSelector,
-        executeSelector: executeSelector
-    };
-
-    /*
-     * Add a selector that matches source keys that start with the
-     * specified prefix.
-     *
-     * @param {string} prefix
-     * @param {function} [selector] The selector for the specified prefix.
-     * @return {function} The selector for the specified prefix.
-     */
-    function addSelector(prefix, selector) {
-        if (selector !== undefined) {
-            selectors[prefix] = selector;
+function summarizeArgs(args) {
+    var summary = [];
+    for (var i = 0; i < args.length; i++) {
+        var arg = args[i];
+        if (isString(arg)) {
+            summary.push(JSON.stringify(arg.length > 20 ?
+                arg.substring(0, 20) + '...' : arg));
+        } else if (isArray(arg)) {
+            summary.push('Array(' + arg.length + ')');
+        } else if (isFunction(arg)) {
+            summary.push('function ' + (arg.name || ''));
+        } else if (isObject(arg)) {
+            var prototype = Object.getPrototypeOf(arg);
+            summary.push(prototype && prototype.constructor &&
+                prototype.constructor.name || 'Object');
+        } else {
+            summary.push(String(arg));
         }
-        return selectors[prefix];
     }
+    return summary;
+}
 
-    /*
-     * Checks whether the source key matches one of the existing selectors.
-     * If it does, the selector's handler is invoked on the source key.
-     *
-     * @param {object} source The source object.
-     * @param {string} sourceKey The source object key.
-     * @param {string} targetKey The target object key.
-     * @param {object} sourceKeys The keys of the source properties to merge.
-     * @param {object} overrideKeys
-     *    The keys of the source properties to not report an error if the
-     *    property already exists in the target object.
-     */
-    function executeSelector(source, sourceKey, targetKey,
-        sourceKeys, overrideKeys) {
-
-        for (var prefix in selectors) {
-            // sourceKey starts with selector's prefix
-            if (sourceKey.indexOf(prefix) === 0) {
-
-                // Remove prefix from source key.
-                sourceKey = sourceKey.substring(prefix.length);
+/*
+ * Returns a filter which wraps functions so that their arguments and return
+ * values are checked against a contract. If the checkContracts option is
+ * false, the functions are not wrapped.
+ *
+ * @param {object} schema
+ *     The keys of the object are the source keys. The values of the object
+ *     are contracts, which have an args array of types and a returns type.
+ *     A type is the name of a type, names separated by '|', a name followed
+ *     by '?' if undefined is allowed, or a function which returns true if
+ *     the value is valid.
+ * @param {object} config The configuration options.
+ * @param {object} errorManager The errors that can be thrown.
+ * @returns {function} The filter.
+ */
+function createContractFilter(schema, config, errorManager) {
+    if (!isObject(schema)) {
+        errorManager.illegalArgument(schema, 'No contracts found.');
+    }
+    return function(filterContext) {
+        var contract = schema[filterContext.sourceKey];
+        if (config.checkContracts && contract &&
+            isFunction(filterContext.sourceValue)) {
+            filterContext.sourceValue = createContractFunction(
+                filterContext.sourceValue, contract, filterContext.targetKey,
+                filterContext.source, errorManager);
+        }
+        return true;
+    };
+}
 
-                // Execute the selector's handler.
-                selectors[prefix]({
-                    source: source,
-                    sourceKey: sourceKey,
-                    targetKey: targetKey ? targetKey : sourceKey,
-                    sourceKeys: sourceKeys,
-                    overrideKeys: overrideKeys
-                });
+/*
+ * Returns a function which checks the arguments and return value of the
+ * function.
+ *
+ * @param {function} func The function.
+ * @param {object} contract The types of the arguments and return value.
+ * @param {string|symbol} targetKey The target key.
+ * @param {object} source The source object.
+ * @param {object} errorManager The errors that can be thrown.
+ */
+function createContractFunction(func, contract, targetKey, source,
+    errorManager) {
+    var argTypes = contract.args || [],
+        returnType = contract.returns;
+
+    // Report invalid types when the contract is applied.
+    for (var i = 0; i < argTypes.length; i++) {
+        checkContractType(argTypes[i], errorManager);
+    }
+    if (returnType !== undefined) {
+        checkContractType(returnType, errorManager);
+    }
 
-                return true;
+    return function() {
+        for (var j = 0; j < argTypes.length; j++) {
+            if (!matchesContractType(arguments[j], argTypes[j])) {
+                errorManager.contractViolation(targetKey, source,
+                    'argument ' + (j + 1) + ' is not ' + describeType(argTypes[j]));
             }
         }
-        return false;
-    }
+        var result = fastApply(func, this, arguments);
+        if (returnType !== undefined &&
+            !matchesContractType(result, returnType)) {
+            errorManager.contractViolation(targetKey, source,
+                'return value is not ' + describeType(returnType));
+        }
+        return result;
+    };
 }
 
 /*
- * Selects all properties except the negated one.
+ * Reports an error if the type of a contract isn't valid.
  */
-function negationSelector(selectorContext) {
-    // If no properties currently selected, select them all first.
-    if (isEmpty(selectorContext.sourceKeys)) {
-        extendSourceKeys(selectorContext.sourceKeys, selectorContext.source);
+function checkContractType(type, errorManager) {
+    if (isFunction(type)) {
+        return;
     }
-    // Then remove the negated property.
-    if (selectorContext.sourceKeys[selectorContext.sourceKey] !== undefined) {
-        delete selectorContext.sourceKeys[selectorContext.sourceKey];
-
-    } else {
-        // Throw error if negated property not found.
-        errorManager.propertyNotFound(selectorContext.sourceKey, selectorContext.source);
+    var names = isString(type) ? type.replace(/\?$/, '').split('|') : [];
+    for (var i = 0; i < names.length; i++) {
+        if (!contractTypes.hasOwnProperty(names[i])) {
+            errorManager.illegalArgument(type, 'Unknown contract type.');
+        }
+    }
+    if (!names.length) {
+        errorManager.illegalArgument(type, 'Unknown contract type.');
     }
 }
 
 /*
- * Selects the property, but does not generate an error if the property
- * already exists in target.
+ * Returns true if the value matches the type of a contract.
  */
-function overrideSelector(selectorContext) {
-    selectorContext.overrideKeys[selectorContext.sourceKey] = true;
-    selectorContext.sourceKeys[selectorContext.sourceKey] = selectorContext.targetKey;
+function matchesContractType(value, type) {
+    if (isFunction(type)) {
+        return Boolean(type(value));
+    }
+    if (type.charAt(type.length - 1) === '?') {
+        if (value === undefined) {
+            return true;
+        }
+        type = type.substring(0, type.length - 1);
+    }
+    var names = type.split('|');
+    for (var i = 0; i < names.length; i++) {
+        if (contractTypes[names[i]](value)) {
+            return true;
+        }
+    }
+    return false;
 }
 
-//--------------------------------------
-// Filters
-//--------------------------------------
+/*
+ * Returns a description of the type of a contract.
+ */
+function describeType(type) {
+    return isFunction(type) ? 'valid' : type;
+}
 
 /*
- * Returns a filter which excludes properties that match the
- * provided regexp.
+ * Returns a filter which excludes properties with the provided keys.
  *
- * @param {RegExp}
+ * @param {array} keys
  * @returns {function} The filter.
  */
-function createExcludeNameFilter(regexp) {
+function createExcludeKeysFilter(keys) {
     return function(filterContext) {
-        return !regexp.test(filterContext.sourceKey);
+        return keys.indexOf(filterContext.sourceKey) === -1;
     };
 }
 
@@ -576,6 +3309,68 @@ function delegateFilter(filterContext) {
     return true;
 }
 
+/*
+ * Returns a filter which replaces the source functions with the target's
+ * methods advised by the source functions. Source properties which are not
+ * functions are rejected.
+ *
+ * @param {function} advise Creates the advised method.
+ * @returns {function} The filter.
+ */
+function createAdviceFilter(advise) {
+    return function(filterContext) {
+        var target = filterContext.target,
+            targetKey = filterContext.targetKey;
+
+        if (!isFunction(filterContext.sourceValue)) {
+            return false;
+        }
+        if (!isFunction(target[targetKey])) {
+            // Reject the property if the error is ignored.
+            filterContext.errors.propertyNotFound(targetKey, target);
+            return false;
+        }
+        filterContext.sourceValue = advise(target[targetKey],
+            filterContext.sourceValue);
+        return true;
+    };
+}
+
+/*
+ * Returns a filter which replaces non-function properties with accessors
+ * which read and write the property of the source object.
+ *
+ * @param {object} readOnlyKeys
+ *     The keys of the source properties which can only be read.
+ * @returns {function} The filter.
+ */
+function createLiveFilter(readOnlyKeys) {
+    return function(filterContext) {
+        if (!isFunction(filterContext.sourceValue)) {
+            var source = filterContext.source,
+                sourceKey = filterContext.sourceKey,
+                targetKey = filterContext.targetKey,
+                errors = filterContext.errors;
+
+            filterContext.descriptor = {
+                enumerable: true,
+                configurable: true,
+                get: function() {
+                    return source[sourceKey];
+                },
+                set: function(value) {
+                    if (readOnlyKeys[sourceKey]) {
+                        errors.propertyReadOnly(targetKey, this);
+                    } else {
+                        source[sourceKey] = value;
+                    }
+                }
+            };
+        }
+        return true;
+    };
+}
+
 
 //--------------------------------------
 // Utility functions
@@ -588,13 +3383,16 @@ function isObject(value) {
     return typeof value === 'object';
 }
 
-function isEmpty(object) {
-    for (var name in object) {
-        if (object.hasOwnProperty(name)) {
-            return false;
-        }
+function isPlainObject(value) {
+    if (!isObject(value)) {
+        return false;
     }
-    return true;
+    var prototype = Object.getPrototypeOf(value);
+    return prototype === Object.prototype || prototype === null;
+}
+
+function isEmpty(object) {
+    return getOwnKeys(object).length === 0;
 }
 
 function isArray(value) {
@@ -609,25 +3407,356 @@ function isString(value) {
     return typeof value === 'string';
 }
 
+function isSymbol(value) {
+    return typeof value === 'symbol';
+}
+
+function isMap(value) {
+    return typeof Map !== 'undefined' && value instanceof Map;
+}
+
 function isFunction(value) {
     return typeof value === 'function';
 }
 
+function isClass(value) {
+    return isFunction(value) &&
+        (/^class\b/).test(Function.prototype.toString.call(value));
+}
+
+/*
+ * Removes all occurrences of the argument from the arguments.
+ *
+ * @returns {boolean} True if the argument was found.
+ */
+function removeArg(args, arg) {
+    var found = false;
+    for (var i = args.length - 1; i >= 0; i--) {
+        if (args[i] === arg) {
+            args.splice(i, 1);
+            found = true;
+        }
+    }
+    return found;
+}
+
+/*
+ * Invokes the constructor with new and the specified arguments.
+ */
+function construct(Constructor, args) {
+    if (typeof Reflect !== 'undefined') {
+        return Reflect.construct(Constructor, args);
+    }
+    var Instance = function() {};
+    Instance.prototype = Constructor.prototype;
+
+    var instance = new Instance();
+    var result = fastApply(Constructor, instance, args);
+    return isObject(result) || isFunction(result) ? result : instance;
+}
+
 /*
  * Copies the keys in the source object to the sourceKey object.
  */
-function extendSourceKeys(sourceKeys, source, regexp) {
-    for (var key in source) {
-        if (!regexp || regexp.test(key)) {
-            sourceKeys[key] = key;
+function extendSourceKeys(sourceKeys, source, config, regexp) {
+    var keys = getSourceKeys(source, config);
+    for (var i = 0; i < keys.length; i++) {
+        // Regular expressions only select string keys.
+        if (!regexp || (isString(keys[i]) && regexp.test(keys[i]))) {
+            sourceKeys[keys[i]] = keys[i];
+        }
+    }
+}
+
+/*
+ * Returns the keys of the enumerable properties and the non-enumerable
+ * class members (e.g. ES2015 class methods) of the source object and its
+ * prototype chain. The constructor and the members of built-in prototypes,
+ * such as Object.prototype and Array.prototype, are excluded.
+ *
+ * @param {object} source The source object.
+ * @param {object} config The configuration options.
+ * @returns {array} The keys.
+ */
+function getSourceKeys(source, config) {
+    var depth = config.includeInherited ? config.inheritedDepth : 0,
+        seen = Object.create(null),
+        keys = [];
+
+    for (var object = source, level = 0;
+        object && !isBuiltInPrototype(object) && level <= depth;
+        object = Object.getPrototypeOf(object), level++) {
+
+        var names = getOwnKeys(object);
+        for (var i = 0; i < names.length; i++) {
+            var name = names[i];
+
+            // Skip properties shadowed by an earlier object in the chain.
+            if (!seen[name]) {
+                seen[name] = true;
+
+                if (isSelectableDescriptor(name,
+                        Object.getOwnPropertyDescriptor(object, name))) {
+                    keys.push(name);
+                }
+            }
+        }
+    }
+    return keys;
+}
+
+/*
+ * Returns true if the object is the prototype of a built-in constructor,
+ * such as Object.prototype or Array.prototype.
+ */
+function isBuiltInPrototype(object) {
+    var descriptor = Object.getOwnPropertyDescriptor(object, 'constructor'),
+        constructor = descriptor && descriptor.value;
+    return object === Object.prototype || (isFunction(constructor) &&
+        constructor.prototype === object &&
+        (/\{\s*\[native code\]\s*\}$/).test(
+            Function.prototype.toString.call(constructor)));
+}
+
+/*
+ * Returns true if the property is enumerable, or is a class member other
+ * than the constructor.
+ */
+function isSelectableDescriptor(name, descriptor) {
+    return Boolean(descriptor.enumerable || (name !== 'constructor' &&
+        (descriptor.get || descriptor.set || isFunction(descriptor.value))));
+}
+
+/*
+ * Returns true if the property would be included in the keys returned by
+ * getSourceKeys(), ignoring the inherited depth.
+ */
+function isSelectableProperty(source, key) {
+    for (var object = source; object && !isBuiltInPrototype(object);
+        object = Object.getPrototypeOf(object)) {
+
+        var descriptor = Object.getOwnPropertyDescriptor(object, key);
+        if (descriptor) {
+            return isSelectableDescriptor(key, descriptor);
+        }
+    }
+    return false;
+}
+
+/*
+ * Replaces the writable data property with an accessor which reports an
+ * error when the property is set.
+ */
+function sealProperty(target, key, errorManager) {
+    var descriptor = Object.getOwnPropertyDescriptor(target, key);
+    if (!descriptor || !descriptor.writable || !descriptor.configurable ||
+        !sealedSetters) {
+        return;
+    }
+    var value = descriptor.value;
+
+    var setter = function(newValue) {
+        errorManager.propertyOverride(key, this);
+
+        if (this === target) {
+            value = newValue;
+        } else {
+            // Set on an object which inherits from the target.
+            Object.defineProperty(this, key, {
+                value: newValue,
+                writable: true,
+                enumerable: true,
+                configurable: true
+            });
+        }
+    };
+    sealedSetters.add(setter);
+
+    Object.defineProperty(target, key, {
+        enumerable: descriptor.enumerable,
+        configurable: true,
+        get: function() {
+            return value;
+        },
+        set: setter
+    });
+}
+
+function isSealedSetter(setter) {
+    return Boolean(setter && sealedSetters && sealedSetters.has(setter));
+}
+
+/*
+ * Restores the target's properties from the snapshots taken before
+ * each property was applied.
+ */
+function restoreTarget(target, snapshots) {
+    for (var i = snapshots.length - 1; i >= 0; i--) {
+        var snapshot = snapshots[i],
+            object = snapshot.object || target;
+        if (snapshot.descriptor) {
+            Object.defineProperty(object, snapshot.key, snapshot.descriptor);
+        } else {
+            delete object[snapshot.key];
+        }
+    }
+}
+
+/*
+ * Finds the target property. If deep, the target key is a path of property
+ * names separated by dots.
+ *
+ * @param {object} target The target object.
+ * @param {string|symbol} targetKey The target key.
+ * @param {boolean} [deep] True if the target key is a path.
+ * @returns {object} location The target property.
+ * @returns {object} location.owner
+ *     The object which contains the property, or null if the path doesn't
+ *     reach the property.
+ * @returns {string|symbol} location.key The property key within the owner.
+ * @returns {boolean} location.exists
+ *     True if the property exists, other than one inherited from
+ *     Object.prototype, or if the path is blocked by a value which is not
+ *     a plain object.
+ * @returns {*} location.value The existing value.
+ */
+function locateProperty(target, targetKey, deep) {
+    var names = deep && isString(targetKey) ? targetKey.split('.') : [targetKey],
+        owner = target;
+
+    for (var i = 0; i < names.length - 1; i++) {
+        var value = owner[names[i]];
+        if (!isPlainObject(value)) {
+            return {
+                owner: null,
+                key: names[names.length - 1],
+                exists: value !== undefined,
+                value: value
+            };
+        }
+        owner = value;
+    }
+
+    var key = names[names.length - 1],
+        exists = key in owner && !isObjectPrototypeProperty(owner, key);
+    return {
+        owner: owner,
+        key: key,
+        exists: exists,
+        value: exists ? owner[key] : undefined
+    };
+}
+
+/*
+ * Returns true if the object's property is inherited from Object.prototype,
+ * such as toString, so a source property with the same key doesn't
+ * collide with it.
+ */
+function isObjectPrototypeProperty(object, key) {
+    return key in Object.prototype && object[key] === Object.prototype[key];
+}
+
+/*
+ * Creates the plain objects along the path to the target property,
+ * replacing any values which are not plain objects.
+ *
+ * @param {object} target The target object.
+ * @param {string|symbol} targetKey The path of property names.
+ * @param {array} snapshots The snapshots of the replaced properties.
+ * @returns {object} The object which contains the property.
+ */
+function createPath(target, targetKey, snapshots) {
+    var names = isString(targetKey) ? targetKey.split('.') : [targetKey],
+        owner = target;
+
+    for (var i = 0; i < names.length - 1; i++) {
+        if (!isPlainObject(owner[names[i]])) {
+            snapshots.push({
+                object: owner,
+                key: names[i],
+                descriptor: Object.getOwnPropertyDescriptor(owner, names[i])
+            });
+            owner[names[i]] = {};
+        }
+        owner = owner[names[i]];
+    }
+    return owner;
+}
+
+/*
+ * Copies the properties of the object into a flat object, where the key
+ * of each value which isn't a non-empty plain object is its path. Empty
+ * plain objects are replaced by new ones, so merging into them later
+ * leaves the object unchanged.
+ *
+ * @param {object} object The object to flatten.
+ * @param {string} prefix The path of the object.
+ * @param {object} flat The flat object.
+ * @returns {object} The flat object.
+ */
+function flattenObject(object, prefix, flat) {
+    var keys = Object.keys(object);
+    for (var i = 0; i < keys.length; i++) {
+        var path = prefix + keys[i],
+            value = object[keys[i]];
+
+        if (isPlainObject(value) && !isEmpty(value)) {
+            flattenObject(value, path + '.', flat);
+        } else {
+            flat[path] = isPlainObject(value) ? {} : value;
+        }
+    }
+    return flat;
+}
+
+/*
+ * Returns the string and symbol keys of the object's own properties.
+ */
+function getOwnKeys(object) {
+    var keys = Object.getOwnPropertyNames(object);
+    if (Object.getOwnPropertySymbols) {
+        keys = keys.concat(Object.getOwnPropertySymbols(object));
+    }
+    return keys;
+}
+
+/*
+ * Returns a copy of the descriptor of the property, which may be
+ * inherited from the object's prototype chain.
+ */
+function getPropertyDescriptor(object, key) {
+    while (object) {
+        var descriptor = Object.getOwnPropertyDescriptor(object, key);
+        if (descriptor) {
+            var copy = {};
+            for (var name in descriptor) {
+                copy[name] = descriptor[name];
+            }
+            return copy;
         }
+        object = Object.getPrototypeOf(object);
+    }
+    return undefined;
+}
+
+/*
+ * Defines the property using the descriptor. If the descriptor is a data
+ * descriptor, the value is used as the property value.
+ */
+function defineProperty(object, key, descriptor, value) {
+    if (!descriptor.get && !descriptor.set) {
+        descriptor.value = value;
     }
+    Object.defineProperty(object, key, descriptor);
 }
 
 /*
  * Removes cyclical dependencies.
  */
 function stringify(object) {
+    if (isSymbol(object)) {
+        return String(object);
+    }
     var seen = [];
     return JSON.stringify(object, function(key, val) {
         if (val !== null && typeof val === 'object') {
@@ -644,12 +3773,23 @@ function stringify(object) {
 // Errors
 //--------------------------------------
 
-function createErrorsManager() {
+/*
+ * Creates an object for throwing errors.
+ *
+ * @param {object} config The configuration options.
+ */
+function createErrorsManager(config) {
 
     return {
         illegalArgument: illegalArgument,
+        illegalArguments: illegalArguments,
         propertyNotFound: propertyNotFound,
-        propertyOverride: propertyOverride
+        propertyOverride: propertyOverride,
+        propertyReadOnly: propertyReadOnly,
+        propertyDeprecated: propertyDeprecated,
+        contractViolation: contractViolation,
+        requiredPropertyNotFound: requiredPropertyNotFound,
+        traitConflict: traitConflict
     };
 
     function illegalArgument(arg, message) {
@@ -657,21 +3797,54 @@ function createErrorsManager() {
         throw new Error(formatMessage('Illegal argument', full));
     }
 
+    function illegalArguments(problems) {
+        throw new Error(formatMessage('Illegal arguments',
+            problems.join('; ')));
+    }
+
     function propertyNotFound(key, object) {
         if (config.throwPropertyNotFoundError) {
-            var message = key + ' in ' + stringify(object);
+            var message = String(key) + ' in ' + stringify(object);
             throw new Error(formatMessage('Property not found', message));
         }
     }
 
     function propertyOverride(key, object) {
         if (config.throwOverrideError) {
-            var message = key + ' in ' + stringify(object);
+            var message = String(key) + ' in ' + stringify(object);
             throw new Error(formatMessage('Property already exists',
                 message));
         }
     }
 
+    function propertyReadOnly(key, object) {
+        var message = String(key) + ' in ' + stringify(object);
+        throw new Error(formatMessage('Property is read-only', message));
+    }
+
+    function propertyDeprecated(key, newKey, callSite) {
+        var message = formatMessage('Property is deprecated',
+            String(key) + ' renamed to ' + String(newKey));
+        if (config.throwDeprecationError) {
+            throw new Error(message);
+        }
+        config.deprecationLogger(callSite ? message + ' ' + callSite : message);
+    }
+
+    function contractViolation(key, object, reason) {
+        var message = String(key) + ' in ' + stringify(object) + ': ' + reason;
+        throw new Error(formatMessage('Contract violation', message));
+    }
+
+    function requiredPropertyNotFound(key, object) {
+        var message = String(key) + ' in ' + stringify(object);
+        throw new Error(formatMessage('Required property not found', message));
+    }
+
+    function traitConflict(key) {
+        throw new Error(formatMessage('Trait conflict', String(key)));
+    }
+
     function formatMessage(name, message) {
         if (!isString(message)) {
             message = stringify(message);
@@ -27,6 +27,28 @@ describe('extendThis.js:', function() {
         return this._type;
     };
 
+    // Only run the suite if symbols are supported.
+    var describeSymbols = typeof Symbol === 'function' ? describe : xdescribe;
+
+    // Only run the suite if weak maps are supported.
+    var describeWeakMaps = typeof WeakMap === 'function' ? describe : xdescribe;
+
+    // Only run the suite if proxies are supported.
+    var describeProxies = typeof Proxy === 'function' ? describe : xdescribe;
+
+    // Only run the spec if promises are supported.
+    var itPromises = typeof Promise === 'function' ? it : xit;
+
+    // Returns the class created by the source code, or undefined if
+    // ES2015 classes are not supported.
+    function createClass(code) {
+        try {
+            return new Function('return ' + code)(); // eslint-disable-line no-new-func
+        } catch (e) {
+            return undefined;
+        }
+    }
+
     //----------------------------------
     // String selector tests
     //----------------------------------
@@ -270,7 +292,7 @@ describe('extendThis.js:', function() {
         it('should throw an override error', function() {
             var error = new Error(
                 'extendThis.js: Property already exists: ' +
-                '_name in {"_name":"ralph"}');
+                '_name in {"_name":"fred"}');
             expect(function() {
                 new Dog(); // eslint-disable-line no-new
             }).toThrow(error);
@@ -295,6 +317,142 @@ describe('extendThis.js:', function() {
 
     });
 
+    //----------------------------------
+    // Conflict strategy tests
+    //----------------------------------
+
+    describe('resolving collisions with conflict strategies', function() {
+
+        var calls, target;
+
+        function createMixin(name) {
+            return {
+                destroy: function(value) {
+                    calls.push(name);
+                    return (value || '') + name;
+                },
+                options: {
+                    color: name
+                }
+            };
+        }
+
+        beforeEach(function() {
+            calls = [];
+            target = {};
+            extend(target).with(createMixin('a'));
+        });
+
+        it('should report an error by default', function() {
+            expect(function() {
+                extend(target).with(createMixin('b'));
+            }).toThrow();
+        });
+
+        it('should keep the existing properties', function() {
+            var destroy = target.destroy;
+            extend(target).with(createMixin('b'), extend.resolve('keepExisting'));
+            expect(target.destroy).toBe(destroy);
+        });
+
+        it('should replace the existing properties', function() {
+            extend(target).with(createMixin('b'), extend.resolve('replace'));
+            expect(target.options.color).toBe('b');
+        });
+
+        it('should chain functions', function() {
+            extend(target).with(createMixin('b'), 'destroy',
+                extend.resolve('chain'));
+            expect(target.destroy()).toBe('b');
+            expect(calls).toEqual(['a', 'b']);
+        });
+
+        it('should pipe functions', function() {
+            extend(target).with(createMixin('b'), 'destroy',
+                extend.resolve('pipe'));
+            expect(target.destroy('x')).toBe('xab');
+        });
+
+        it('should merge plain objects', function() {
+            target.options.size = 5;
+            extend(target).with(createMixin('b'), 'options',
+                extend.resolve('merge'));
+            expect(target.options).toEqual({
+                color: 'b',
+                size: 5
+            });
+        });
+
+        it('should report an error if the values cannot be merged', function() {
+            expect(function() {
+                extend(target).with(createMixin('b'), 'destroy',
+                    extend.resolve('merge'));
+            }).toThrow();
+        });
+
+        it('should select the strategy per key', function() {
+            extend(target).with(createMixin('b'),
+                extend.resolve('replace'),
+                extend.resolve('chain', 'destroy'));
+            target.destroy();
+            expect(calls).toEqual(['a', 'b']);
+            expect(target.options.color).toBe('b');
+        });
+
+        it('should select the strategy globally', function() {
+            var myExtend = extend.create({
+                config: {
+                    conflictStrategy: 'keepExisting'
+                }
+            });
+            myExtend(target).with(createMixin('b'), '#options');
+            expect(target.options.color).toBe('b');
+            target.destroy();
+            expect(calls).toEqual(['a']);
+        });
+
+        it('should use custom resolvers', function() {
+            var myExtend = extend.create();
+            myExtend.resolver('last', function(resolverContext) {
+                resolverContext.sourceValue = resolverContext.sourceKey;
+                return true;
+            });
+            myExtend(target).with(createMixin('b'), myExtend.resolve('last'));
+            expect(target.destroy).toBe('destroy');
+            expect(extend.resolver('last')).toBe(undefined);
+        });
+
+        it('should report an error for unknown strategies', function() {
+            var error = new Error('extendThis.js: Illegal argument: "foo": ' +
+                'Unknown conflict strategy.');
+            expect(function() {
+                extend(target).with(createMixin('b'), extend.resolve('foo'));
+            }).toThrow(error);
+        });
+
+        it('should not mistake Object.prototype names for strategies', function() {
+            var mixin = {
+                valueOf: function() {
+                    return 1;
+                },
+                hasOwnProperty: function() {
+                    return true;
+                },
+                isPrototypeOf: function() {
+                    return true;
+                }
+            };
+            extend(target).with(mixin);
+            expect(target.valueOf()).toBe(1);
+            expect(Object.keys(target)).toEqual(['destroy', 'options',
+                'valueOf', 'hasOwnProperty', 'isPrototypeOf'
+            ]);
+            expect(function() {
+                extend(target).with(createMixin('b'), extend.resolve('constructor'));
+            }).toThrowError(/Unknown conflict strategy/);
+        });
+    });
+
     //----------------------------------
     // Non-existant source property tests
     //----------------------------------
@@ -391,6 +549,72 @@ describe('extendThis.js:', function() {
         });
     });
 
+    describe('calling class constructor', function() {
+
+        var Base = createClass('class Base { constructor(size) { ' +
+            'this._size = size; this._name = this.name(); } ' +
+            'size() { return this._size; } }');
+
+        it('should mixin the correct properties', function() {
+            if (Base) {
+                var target = {
+                    name: function() {
+                        return 'fred';
+                    }
+                };
+                extend(target).withCall(Base, 5);
+                expect(target._size).toBe(5);
+                expect(target._name).toBe('fred');
+                expect(target.size).toBe(undefined);
+            }
+        });
+    });
+
+    describe('instantiating constructor with new', function() {
+
+        function Shape(sides) {
+            this._sides = sides;
+        }
+        Shape.prototype.sides = function() {
+            return this._sides;
+        };
+
+        var Square = createClass('class Square { constructor(length) { ' +
+            'this._length = length; this._type = new.target.name; } ' +
+            'length() { return this._length; } }');
+
+        it('should mixin the instance properties', function() {
+            var target = {};
+            extend(target).withNew(Shape, 4);
+            expect(target._sides).toBe(4);
+            expect(target.sides).toBe(undefined);
+        });
+
+        it('should mixin the prototype properties when requested', function() {
+            var target = {};
+            extend(target).withNew([Shape, 4], extend.includePrototype, '!_sides');
+            expect(target._sides).toBe(undefined);
+            expect(target.sides).toBeDefined();
+        });
+
+        it('should instantiate classes', function() {
+            if (Square) {
+                var target = {};
+                extend(target).withNew(Square, 3, extend.includePrototype);
+                expect(target.length()).toBe(3);
+                expect(target._type).toBe('Square');
+            }
+        });
+
+        it('should throw an error if not passed a function', function() {
+            var error = new Error('extendThis.js: Illegal argument: [{}]: ' +
+                'first argument must be a function');
+            expect(function() {
+                extend({}).withNew({});
+            }).toThrow(error);
+        });
+    });
+
     //----------------------------------
     // Delegation tests
     //----------------------------------
@@ -427,106 +651,2222 @@ describe('extendThis.js:', function() {
         });
     });
 
-    //----------------------------------
-    // Individual property tests.
-    //----------------------------------
-    describe('Adding individual property', function() {
+    describe('Composing object with live delegation', function() {
 
-        function Dog() {
-            extend(this).with('owner', 'me');
+        function Owner(name) {
+            this.name = name;
+            this.age = 30;
+            this._secret = 'shh';
         }
+        Owner.prototype.rename = function(name) {
+            this.name = name;
+        };
 
-        var dog = new Dog();
+        var owner, target;
 
-        it('should add the correct property', function() {
-            expect(dog.owner).toBe('me');
+        beforeEach(function() {
+            owner = new Owner('fred');
+            target = {};
+            extend(target).withLiveDelegate(owner, 'name', '=age', 'rename',
+                '_secret');
         });
-    });
 
-    describe('Adding individual property without a value', function() {
+        it('should read the current value of the source', function() {
+            owner.name = 'barney';
+            expect(target.name).toBe('barney');
 
-        function Dog() {
-            extend(this).with('owner');
-        }
+            target.rename('wilma');
+            expect(target.name).toBe('wilma');
+        });
 
-        it('should throw an illegal property error', function() {
-            var error = new Error('extendThis.js: Illegal argument: "owner": ' +
-                'Requires a single property value');
+        it('should write to the source', function() {
+            target.name = 'betty';
+            expect(owner.name).toBe('betty');
+        });
+
+        it('should not write read-only properties', function() {
+            var error = new Error('extendThis.js: Property is read-only: age in ' +
+                '{"name":"fred","age":30}');
             expect(function() {
-                new Dog(); // eslint-disable-line no-new
+                target.age = 40;
             }).toThrow(error);
+            expect(owner.age).toBe(30);
+        });
+
+        it('should not include private properties', function() {
+            expect(target._secret).toBe(undefined);
+        });
+    });
+
+    describeProxies('Composing object with dynamic delegation', function() {
+
+        function Api() {
+            this._private = true;
+        }
+        Api.prototype.get = function() {
+            return 'get';
+        };
+
+        var api, other, target;
+
+        beforeEach(function() {
+            api = new Api();
+            other = {
+                post: function() {
+                    return 'other post';
+                },
+                put: function() {
+                    return 'put';
+                }
+            };
+            target = {
+                own: 'own'
+            };
+            extend(target)
+                .withDynamicDelegate(api, '!get', /^p/, {
+                    remove: 'del'
+                })
+                .withDynamicDelegate(other);
+        });
+
+        it('should delegate properties added later', function() {
+            Api.prototype.post = function() {
+                return this === api ? 'post' : 'wrong this';
+            };
+            api.remove = function() {
+                return 'remove';
+            };
+            expect(target.post()).toBe('post');
+            expect(target.del()).toBe('remove');
+            delete Api.prototype.post;
+        });
+
+        it('should stop delegating to removed sources', function() {
+            expect(target.put()).toBe('put');
+            extend(target).without(other);
+            expect(target.put).toBe(undefined);
+            expect('put' in target).toBe(false);
+        });
+
+        it('should honour the selectors', function() {
+            expect(target.get).toBe(undefined);
+            expect(target.put()).toBe('put');
+            expect('put' in target).toBe(true);
+            expect('get' in target).toBe(false);
+        });
+
+        it('should use the delegates in the order added', function() {
+            expect(target.post()).toBe('other post');
+            api.post = function() {
+                return 'post';
+            };
+            expect(target.post()).toBe('post');
+        });
+
+        it('should not delegate private properties', function() {
+            expect(target._private).toBe(undefined);
+        });
+
+        it('should not delegate properties found in the target', function() {
+            other.own = 'other';
+            expect(target.own).toBe('own');
+            expect(target.hasOwnProperty).toBe(Object.prototype.hasOwnProperty);
+        });
+
+        it('should keep the prototype in the prototype chain', function() {
+            function Dog() {
+                extend(this).withDynamicDelegate(other);
+            }
+            Dog.prototype.bark = function() {
+                return 'woof';
+            };
+            var dog = new Dog();
+            expect(dog instanceof Dog).toBe(true);
+            expect(Dog.prototype.isPrototypeOf(dog)).toBe(true);
+            expect(dog.bark()).toBe('woof');
+            expect(dog.put()).toBe('put');
+        });
+
+        it('should not modify the target when planning', function() {
+            var planned = {},
+                prototype = Object.getPrototypeOf(planned);
+            extend(planned).plan.withDynamicDelegate({
+                x: 1
+            });
+            expect(Object.getPrototypeOf(planned)).toBe(prototype);
+            expect(planned.x).toBe(undefined);
+        });
+
+        it('should return the same function each time', function() {
+            expect(target.put).toBe(target.put);
+            other.put = function() {
+                return 'new put';
+            };
+            expect(target.put()).toBe('new put');
+        });
+
+        it('should not throw when resolving a property', function() {
+            var strictExtend = extend.create({
+                    config: {
+                        strictParsing: true
+                    }
+                }),
+                source = {
+                    find: function() {}
+                },
+                strictTarget = {};
+            strictExtend(strictTarget).withDynamicDelegate(source, 'find');
+            delete source.find;
+            expect(strictTarget.somethingElse).toBe(undefined);
+            expect(strictTarget.find).toBe(undefined);
         });
     });
 
     //----------------------------------
-    // Wrap extend function
+    // Strict parsing tests
     //----------------------------------
 
-    describe('Wrapping other extend function', function() {
+    describe('Parsing arguments strictly', function() {
 
-        it('should call the other extend function', function() {
-            var source = {};
+        var strictExtend, source;
+
+        beforeEach(function() {
+            strictExtend = extend.create({
+                config: {
+                    strictParsing: true
+                }
+            });
+            source = {
+                bark: function() {},
+                name: 'fido'
+            };
+        });
+
+        it('should accept valid arguments', function() {
             var target = {};
+            strictExtend(target).with(source, '!bark', /^n/, {
+                '#name': 'title'
+            }, function() {
+                return true;
+            });
+            expect(target).toEqual({
+                title: 'fido'
+            });
+        });
 
-            this.otherExtend = function() {};
+        it('should report unsupported arguments', function() {
+            expect(function() {
+                strictExtend({}).with(source, 1, true, undefined, null);
+            }).toThrowError('extendThis.js: Illegal arguments: ' +
+                '1: Unsupported argument.; true: Unsupported argument.; ' +
+                'undefined: Unsupported argument.; null: Unsupported argument.');
+        });
 
-            spyOn(this, 'otherExtend');
+        it('should report rename selectors which are not plain objects', function() {
+            expect(function() {
+                strictExtend({}).with(source, new Date());
+            }).toThrowError(/Rename selector is not a plain object/);
+        });
 
-            extend.wrap(this.otherExtend);
+        it('should report selectors which select nothing', function() {
+            expect(function() {
+                strictExtend({}).with(source, /^x/, 'barks', {
+                    nam: 'title'
+                });
+            }).toThrowError('extendThis.js: Illegal arguments: ' +
+                '"/^x/": Selects no properties.; ' +
+                '"barks": Property not found.; "nam": Property not found.');
+        });
 
-            extend(source, target);
-            expect(this.otherExtend).toHaveBeenCalledWith(source, target);
+        it('should report duplicate and contradictory selectors', function() {
+            expect(function() {
+                strictExtend({}).with(source, '!name', 'bark', 'bark', {
+                    name: 'title'
+                }, '!bark');
+            }).toThrowError('extendThis.js: Illegal arguments: ' +
+                '"bark": Duplicate selector.; ' +
+                '"name": Contradictory selectors.; ' +
+                '"!bark": Contradictory selectors.');
+        });
 
-            extend.wrap(null);
+        it('should report invalid rename targets without selecting', function() {
+            var target = {};
+            expect(function() {
+                strictExtend(target).with(source, {
+                    bark: 1,
+                    name: 'title'
+                }, 2);
+            }).toThrowError('extendThis.js: Illegal arguments: ' +
+                '1: Target property name is not a string.; ' +
+                '2: Unsupported argument.');
+            expect(target).toEqual({});
+        });
+
+        it('should check the arguments of recipes', function() {
+            strictExtend.recipe('names', ['name', 'nmae']);
+            expect(function() {
+                strictExtend({}).with(source, '@names');
+            }).toThrowError(/"nmae": Property not found/);
         });
     });
 
     //----------------------------------
-    // Method function
+    // Contract tests
     //----------------------------------
 
-    describe('Adding a method', function() {
-        it('should return my method', function() {
-            var func = function() {};
-            extend.method('funcA', func);
-            expect(extend.method('funcA')).toBe(func);
-            extend.method('funcA', null);
+    describe('Checking contracts', function() {
+
+        var contractExtend, dog;
+
+        beforeEach(function() {
+            contractExtend = extend.create();
+            dog = {
+                bark: function(times, sound) {
+                    return times > 0 && sound !== 'quiet';
+                },
+                getName: function() {
+                    return 1;
+                }
+            };
+        });
+
+        var schema = {
+            bark: {
+                args: ['number', 'string?'],
+                returns: 'boolean'
+            },
+            getName: {
+                returns: function(value) {
+                    return typeof value === 'string';
+                }
+            }
+        };
+
+        it('should allow valid calls', function() {
+            var target = {};
+            contractExtend(target).withDelegate(dog, contractExtend.contract(schema));
+            expect(target.bark(1)).toBe(true);
+            expect(target.bark(1, 'quiet')).toBe(false);
+        });
+
+        it('should report invalid arguments', function() {
+            var target = {};
+            contractExtend(target).withDelegate(dog, {
+                bark: 'woof'
+            }, contractExtend.contract(schema));
+            expect(function() {
+                target.woof('1');
+            }).toThrowError(/Contract violation: woof in .*: argument 1 is not number/);
+            expect(function() {
+                target.woof(1, 2);
+            }).toThrowError(/argument 2 is not string\?/);
+        });
+
+        it('should report invalid return values', function() {
+            var target = {};
+            contractExtend(target).with(dog, contractExtend.contract(schema));
+            expect(function() {
+                target.getName();
+            }).toThrowError(/getName in .*: return value is not valid/);
+        });
+
+        it('should not check contracts if turned off', function() {
+            var target = {};
+            contractExtend.config.checkContracts = false;
+            contractExtend(target).with(dog, contractExtend.contract(schema));
+            expect(target.bark).toBe(dog.bark);
+        });
+
+        it('should report unknown types', function() {
+            expect(function() {
+                contractExtend({}).with(dog, contractExtend.contract({
+                    bark: {
+                        args: ['int']
+                    }
+                }));
+            }).toThrowError(/Unknown contract type/);
         });
     });
 
     //----------------------------------
-    // Selector function
+    // Deprecation tests
     //----------------------------------
 
-    describe('Adding a selector', function() {
-        it('should return my selector', function() {
-            var selector = function() {};
-            extend.selector('&', selector);
-            expect(extend.selector('&')).toBe(selector);
-            extend.selector('&', null);
+    describe('Deprecating renamed properties', function() {
+
+        var deprecateExtend, warnings, dog;
+
+        beforeEach(function() {
+            warnings = [];
+            deprecateExtend = extend.create({
+                config: {
+                    deprecationLogger: function(message) {
+                        warnings.push(message);
+                    }
+                }
+            });
+            dog = {};
+            deprecateExtend(dog).with({
+                bark: function() {
+                    return 'woof';
+                },
+                name: 'fido'
+            }, {
+                bark: 'sound',
+                name: 'title'
+            }).withDeprecated({
+                bark: 'sound',
+                name: 'title'
+            });
+        });
+
+        it('should define aliases for the old names', function() {
+            expect(dog.bark()).toBe('woof');
+            expect(dog.name).toBe('fido');
+            dog.name = 'rex';
+            expect(dog.title).toBe('rex');
+            expect(Object.keys(dog)).toEqual(['sound', 'title']);
+        });
+
+        it('should warn once for each call site', function() {
+            for (var i = 0; i < 3; i++) {
+                dog.bark();
+            }
+            dog.bark();
+            expect(warnings.length).toBe(2);
+            expect(warnings[0]).toMatch(
+                /Property is deprecated: bark renamed to sound/);
+        });
+
+        it('should warn once for each alias without a stack', function() {
+            var limit = Error.stackTraceLimit;
+            Error.stackTraceLimit = 0;
+            try {
+                dog.bark();
+                dog.bark();
+                dog.name = 'rex';
+            } finally {
+                Error.stackTraceLimit = limit;
+            }
+            expect(warnings.length).toBe(2);
+            expect(warnings[1]).toMatch(
+                /Property is deprecated: name renamed to title/);
+        });
+
+        it('should throw in strict mode', function() {
+            deprecateExtend.config.throwDeprecationError = true;
+            expect(function() {
+                dog.bark();
+            }).toThrowError(/Property is deprecated: bark renamed to sound/);
+        });
+
+        it('should report collisions with the old names', function() {
+            expect(function() {
+                deprecateExtend({
+                    bark: null
+                }).withDeprecated({
+                    bark: 'sound'
+                });
+            }).toThrowError(/Property already exists/);
         });
     });
 
     //----------------------------------
-    // Object.defineProperty
+    // Standard filter tests
     //----------------------------------
 
-    describe('Merging property created with Object.defineProperty', function() {
-        var source = {};
+    describe('Using the standard filters', function() {
 
-        Object.defineProperty(source, 'sound', {
-            enumerable: true,
-            get: function() {
-                return 'meow';
-            }
+        var filters = extend.filters,
+            source;
+
+        beforeEach(function() {
+            source = {
+                _id: 1,
+                name: 'fred',
+                getName: function() {
+                    return this.name;
+                }
+            };
         });
 
-        it('should still work', function() {
+        it('should filter by name', function() {
+            var excluded = {},
+                included = {};
+            extend(excluded).with(source, filters.excludeName(/^_/));
+            extend(included).with(source, filters.includeName(/^_/));
+            expect(Object.keys(excluded)).toEqual(['name', 'getName']);
+            expect(included).toEqual({
+                _id: 1
+            });
+        });
+
+        it('should filter by value', function() {
+            var functions = {},
+                data = {};
+            extend(functions).with(source, filters.onlyFunctions);
+            extend(data).with(source, filters.onlyData);
+            expect(Object.keys(functions)).toEqual(['getName']);
+            expect(data).toEqual({
+                _id: 1,
+                name: 'fred'
+            });
+        });
+
+        it('should delegate and bind functions', function() {
+            var delegated = {},
+                bound = {},
+                other = {
+                    name: 'joe'
+                };
+            extend(delegated).with(source, 'getName', filters.delegate);
+            extend(bound).with(source, {
+                getName: 'getOtherName'
+            }, filters.bindTo(other));
+            extend(bound).with(source, 'getName', filters.bindTo('source'));
+            expect(delegated.getName()).toBe('fred');
+            expect(bound.getOtherName()).toBe('joe');
+            expect(bound.getName.call(other)).toBe('fred');
+        });
+
+        it('should make properties read-only', function() {
             var target = {};
+            extend(target).with(source, 'name', filters.readOnly);
+            expect(function() {
+                target.name = 'joe';
+            }).toThrow();
+            expect(target.name).toBe('fred');
+        });
 
-            expect(source.sound).toBe('meow');
-            extend(target).with(source);
-            expect(target.sound).toBe('meow');
+        it('should rename and map properties', function() {
+            var target = {};
+            extend(target).with(source, 'name', 'getName', filters.prefix('my'),
+                filters.suffix('Value'), filters.when(function(ctx) {
+                    return ctx.sourceKey === 'name';
+                }, filters.mapValue(function(value) {
+                    return value.toUpperCase();
+                })));
+            expect(Object.keys(target)).toEqual(['mynameValue',
+                'mygetNameValue'
+            ]);
+            expect(target.mynameValue).toBe('FRED');
+            expect(target.mygetNameValue).toBe(source.getName);
+        });
+
+        it('should copy the filters for each extend function', function() {
+            var otherExtend = extend.create();
+            otherExtend.filters.custom = filters.onlyData;
+            otherExtend.filters.prefix = null;
+            expect(otherExtend.filters.trace).toBe(filters.trace);
+            expect(filters.custom).toBe(undefined);
+            expect(filters.prefix).toEqual(jasmine.any(Function));
+        });
+
+        describeWeakMaps('memoize', function() {
+
+            var repo, calls;
+
+            beforeEach(function() {
+                calls = 0;
+                repo = {
+                    findName: function(id) {
+                        calls++;
+                        return 'name' + id;
+                    },
+                    findAll: function() {
+                        calls++;
+                        return [];
+                    }
+                };
+            });
+
+            it('should cache delegated calls for each target', function() {
+                var first = {},
+                    second = {};
+                extend(first).withDelegate(repo, /^find/, filters.memoize());
+                extend(second).withDelegate(repo, 'findName', filters.memoize());
+                expect(first.findName(1)).toBe('name1');
+                expect(first.findName(1)).toBe('name1');
+                expect(first.findName(2)).toBe('name2');
+                expect(calls).toBe(2);
+                second.findName(1);
+                expect(calls).toBe(3);
+            });
+
+            it('should cache results for each instance', function() {
+                function Person(name) {
+                    this.name = name;
+                }
+                extend(Person.prototype).with({
+                    getName: function() {
+                        calls++;
+                        return this.name;
+                    }
+                }, filters.memoize());
+                var fred = new Person('fred'),
+                    joe = new Person('joe');
+                expect(fred.getName()).toBe('fred');
+                expect(joe.getName()).toBe('joe');
+                expect(fred.getName()).toBe('fred');
+                expect(calls).toBe(2);
+            });
+
+            it('should evict the least recently used result', function() {
+                var target = {};
+                extend(target).withDelegate(repo, 'findName', filters.memoize({
+                    maxSize: 2
+                }));
+                target.findName(1);
+                target.findName(2);
+                target.findName(1);
+                target.findName(3);
+                target.findName(1);
+                expect(calls).toBe(3);
+                target.findName(2);
+                expect(calls).toBe(4);
+            });
+
+            it('should expire results', function() {
+                var target = {},
+                    now = 1000;
+                spyOn(Date, 'now').and.callFake(function() {
+                    return now;
+                });
+                extend(target).withDelegate(repo, 'findName', filters.memoize({
+                    ttl: 100
+                }));
+                target.findName(1);
+                now += 99;
+                target.findName(1);
+                expect(calls).toBe(1);
+                now += 1;
+                target.findName(1);
+                expect(calls).toBe(2);
+            });
+
+            it('should use the key resolver', function() {
+                var target = {};
+                extend(target).withDelegate(repo, 'findName', filters.memoize({
+                    key: function(id) {
+                        return String(id % 2);
+                    }
+                }));
+                target.findName(1);
+                expect(target.findName(3)).toBe('name1');
+                expect(calls).toBe(1);
+            });
+
+            it('should clear the caches', function() {
+                var target = {},
+                    memoize = filters.memoize();
+                extend(target).withDelegate(repo, /^find/, memoize);
+                target.findName(1);
+                target.findAll();
+                memoize.clear();
+                target.findName(1);
+                target.findAll();
+                expect(calls).toBe(4);
+
+                filters.memoize.clear(target, 'findName');
+                target.findName(1);
+                target.findAll();
+                expect(calls).toBe(5);
+
+                filters.memoize.clear(target);
+                target.findName(1);
+                target.findAll();
+                expect(calls).toBe(7);
+            });
+
+            it('should report invalid options when created', function() {
+                expect(function() {
+                    filters.memoize({
+                        maxSize: -1
+                    });
+                }).toThrowError(/-1: maxSize must be a positive number/);
+                expect(function() {
+                    filters.memoize({
+                        ttl: 0
+                    });
+                }).toThrowError(/ttl must be a positive number/);
+            });
+        });
+
+        describe('trace', function() {
+
+            var service, events;
+
+            function sink(event) {
+                events.push(event);
+            }
+
+            // Resolves after the events of settled promises are sent.
+            function waitForEvents() {
+                return new Promise(function(resolve) {
+                    setTimeout(resolve);
+                });
+            }
+
+            beforeEach(function() {
+                events = [];
+                service = {
+                    send: function() {
+                        return true;
+                    },
+                    fail: function() {
+                        throw new Error('failed');
+                    },
+                    load: function(ok) {
+                        return ok ? Promise.resolve(1) : Promise.reject('no');
+                    }
+                };
+            });
+
+            it('should trace calls', function() {
+                var target = {};
+                extend(target).withDelegate(service, {
+                    send: 'post'
+                }, filters.trace(sink));
+                expect(target.post('hello', 1, [1, 2], {}, null)).toBe(true);
+                expect(events.length).toBe(1);
+                expect(events[0].targetKey).toBe('post');
+                expect(events[0].sourceKey).toBe('send');
+                expect(events[0].source).toBe(service);
+                expect(events[0].args).toEqual(['"hello"', '1', 'Array(2)',
+                    'Object', 'null'
+                ]);
+                expect(events[0].duration).toEqual(jasmine.any(Number));
+                expect(events[0].error).toBe(undefined);
+                expect(events[0].promise).toBe(undefined);
+            });
+
+            it('should trace thrown errors', function() {
+                var target = {};
+                extend(target).withDelegate(service, 'fail', filters.trace(sink));
+                expect(function() {
+                    target.fail();
+                }).toThrowError('failed');
+                expect(events[0].error.message).toBe('failed');
+            });
+
+            it('should ignore errors thrown by the sink', function() {
+                var target = {};
+                extend(target).withDelegate(service, 'send', 'fail',
+                    filters.trace(function() {
+                        throw new Error('sink failed');
+                    }));
+                expect(target.send()).toBe(true);
+                expect(function() {
+                    target.fail();
+                }).toThrowError('failed');
+            });
+
+            itPromises('should trace promise settlement', function(done) {
+                var target = {};
+                extend(target).withDelegate(service, 'load', filters.trace(sink));
+                target.load(true).then(function() {
+                    return target.load(false);
+                }).catch(waitForEvents).then(function() {
+                    expect(events[0].promise).toBe('fulfilled');
+                    expect(events[1].promise).toBe('rejected');
+                    expect(events[1].error).toBe('no');
+                    done();
+                });
+            });
+        });
+
+        it('should refer to the standard filters in JSON recipes', function() {
+            var target = {};
+            extend(target).with(source, extend.loadRecipe({
+                filters: ['onlyData']
+            }));
+            expect(Object.keys(target)).toEqual(['_id', 'name']);
+        });
+    });
+
+    //----------------------------------
+    // Recipe tests
+    //----------------------------------
+
+    describe('Using recipes', function() {
+
+        var recipeExtend, source;
+
+        function isData(ctx) {
+            return typeof ctx.sourceValue !== 'function';
+        }
+
+        beforeEach(function() {
+            recipeExtend = extend.create();
+            recipeExtend.recipe('data', isData);
+            recipeExtend.recipe('public', [/^[^_]/], {
+                base: 'data'
+            });
+            recipeExtend.recipe('methods', [], {
+                method: 'withDelegate'
+            });
+            source = {
+                _id: 1,
+                name: 'fred',
+                getName: function() {
+                    return this.name;
+                }
+            };
+        });
+
+        it('should apply a recipe', function() {
+            var target = {};
+            recipeExtend(target).apply('data', source, '!_id');
+            expect(target).toEqual({
+                name: 'fred'
+            });
+        });
+
+        it('should extend a recipe', function() {
+            var target = {};
+            recipeExtend(target).apply('public', source);
+            expect(target).toEqual({
+                name: 'fred'
+            });
+        });
+
+        it('should call the method of the recipe', function() {
+            var target = {};
+            recipeExtend(target).apply('methods', source);
+            expect(target.getName()).toBe('fred');
+            expect(target._id).toBe(undefined);
+        });
+
+        it('should select the properties of called functions', function() {
+            var called = {},
+                created = {};
+
+            function Person(name) {
+                this.name = name;
+                this.age = 30;
+            }
+
+            recipeExtend.recipe('callName', ['name'], {
+                method: 'withCall'
+            });
+            recipeExtend.recipe('newName', ['name'], {
+                method: 'withNew'
+            });
+            recipeExtend(called).apply('callName', Person, 'fred');
+            recipeExtend(created).apply('newName', [Person, 'joe']);
+            expect(called).toEqual({
+                name: 'fred'
+            });
+            expect(created).toEqual({
+                name: 'joe'
+            });
+        });
+
+        it('should select a recipe with a selector', function() {
+            var target = {};
+            recipeExtend(target).with(source, '@public');
+            expect(target).toEqual({
+                name: 'fred'
+            });
+        });
+
+        it('should plan a recipe', function() {
+            var plan = recipeExtend({}).plan.apply('public', source);
+            expect(plan.properties.length).toBe(2);
+        });
+
+        it('should load a JSON recipe', function() {
+            var target = {
+                name: 'joe'
+            };
+            recipeExtend.filter('data', isData);
+            var args = recipeExtend.loadRecipe(JSON.stringify({
+                include: ['_id'],
+                patterns: ['^n', {
+                    pattern: '^GET',
+                    flags: 'i'
+                }],
+                rename: {
+                    _id: 'id'
+                },
+                exclude: ['getName'],
+                override: ['name'],
+                filters: ['data']
+            }));
+            recipeExtend(target).with(source, args);
+            expect(target).toEqual({
+                id: 1,
+                name: 'fred'
+            });
+        });
+
+        it('should add a named JSON recipe', function() {
+            var target = {};
+            recipeExtend.loadRecipe({
+                name: 'names',
+                base: 'methods',
+                include: ['getName']
+            });
+            recipeExtend(target).apply('names', source);
+            expect(Object.keys(target)).toEqual(['getName']);
+            expect(target.getName()).toBe('fred');
+        });
+
+        it('should validate a JSON recipe', function() {
+            expect(function() {
+                recipeExtend.loadRecipe({
+                    includes: ['name']
+                });
+            }).toThrowError(/Unknown recipe field/);
+            expect(function() {
+                recipeExtend.loadRecipe({
+                    exclude: 'name'
+                });
+            }).toThrowError(/exclude must be an array/);
+            expect(function() {
+                recipeExtend.loadRecipe({
+                    patterns: [{
+                        pattern: '^a',
+                        flags: 'q'
+                    }]
+                });
+            }).toThrowError(/Illegal argument/);
+            expect(function() {
+                recipeExtend.loadRecipe({
+                    patterns: ['(']
+                });
+            }).toThrowError(/extendThis\.js: Illegal argument/);
+            expect(function() {
+                recipeExtend.loadRecipe('{"include": ');
+            }).toThrowError(/extendThis\.js: Illegal argument/);
+            expect(function() {
+                recipeExtend.loadRecipe({
+                    filters: ['none']
+                });
+            }).toThrowError(/Unknown filter/);
+            expect(function() {
+                recipeExtend.loadRecipe({
+                    filters: ['toString']
+                });
+            }).toThrowError(/Unknown filter/);
+        });
+
+        it('should require a name for the method and base', function() {
+            expect(function() {
+                recipeExtend.loadRecipe({
+                    include: ['name'],
+                    method: 'withDelegate'
+                });
+            }).toThrowError(/method requires a recipe name/);
+            expect(function() {
+                recipeExtend.loadRecipe({
+                    base: 'serializable'
+                });
+            }).toThrowError(/base requires a recipe name/);
+        });
+
+        it('should report unknown recipes', function() {
+            recipeExtend.recipe('loop', [], {
+                base: 'loop'
+            });
+            recipeExtend.recipe('bad', [], {
+                method: 'withNothing'
+            });
+            expect(function() {
+                recipeExtend({}).apply('none', source);
+            }).toThrowError(/Unknown recipe/);
+            expect(function() {
+                recipeExtend({}).apply('toString', source);
+            }).toThrowError(/Unknown recipe/);
+            expect(function() {
+                recipeExtend({}).apply('loop', source);
+            }).toThrowError(/Recipe extends itself/);
+            expect(function() {
+                recipeExtend({}).apply('bad', source);
+            }).toThrowError(/Unknown method/);
+        });
+    });
+
+    //----------------------------------
+    // Trait tests
+    //----------------------------------
+
+    describe('Composing traits', function() {
+
+        var named, described, counted;
+
+        beforeEach(function() {
+            named = extend.trait({
+                describe: function() {
+                    return 'name: ' + this.getName();
+                },
+                toString: function() {
+                    return this.getName();
+                }
+            }, {
+                requires: ['getName']
+            });
+            described = extend.trait({
+                toString: function() {
+                    return this.describe();
+                }
+            }, {
+                requires: ['describe']
+            });
+            counted = extend.trait({
+                count: function() {
+                    return 1;
+                }
+            });
+        });
+
+        function Thing(name) {
+            this.name = name;
+        }
+        Thing.prototype.getName = function() {
+            return this.name;
+        };
+
+        it('should compose the traits', function() {
+            var target = Object.create(Thing.prototype);
+            target.name = 'fred';
+            extend(target).withTraits(named, counted);
+            expect(target.describe()).toBe('name: fred');
+            expect(target.toString()).toBe('fred');
+            expect(target.count()).toBe(1);
+        });
+
+        it('should compose members with Object.prototype names', function() {
+            var target = {},
+                valued = extend.trait({
+                    valueOf: function() {
+                        return 42;
+                    },
+                    toString: function() {
+                        return 'valued';
+                    }
+                });
+            extend(target).withTraits(valued);
+            expect(target.valueOf()).toBe(42);
+            expect(String(target)).toBe('valued');
+        });
+
+        it('should report conflicts regardless of order', function() {
+            expect(function() {
+                extend(new Thing()).withTraits(named, described);
+            }).toThrowError(/Trait conflict: toString/);
+            expect(function() {
+                extend(new Thing()).withTraits(described, named);
+            }).toThrowError(/Trait conflict: toString/);
+        });
+
+        it('should resolve conflicts using selectors', function() {
+            var excluded = new Thing('fred'),
+                renamed = new Thing('fred');
+
+            extend(excluded).withTraits(named, '!toString', described);
+            extend(renamed).withTraits(described, named, '!toString', {
+                toString: 'getLabel'
+            });
+
+            expect(excluded.toString()).toBe('name: fred');
+            expect(renamed.toString()).toBe('name: fred');
+            expect(renamed.getLabel()).toBe('fred');
+        });
+
+        it('should not report the same property as a conflict', function() {
+            var target = new Thing('fred'),
+                members = {
+                    count: counted.members.count
+                };
+            extend(target).withTraits(counted, extend.trait(members));
+            expect(target.count()).toBe(1);
+        });
+
+        it('should report unmet requirements', function() {
+            expect(function() {
+                extend({}).withTraits(named);
+            }).toThrowError(/Required property not found: getName/);
+            expect(function() {
+                extend(new Thing()).withTraits(described, counted);
+            }).toThrowError(/Required property not found: describe/);
+        });
+
+        it('should report collisions with the target', function() {
+            var target = new Thing('fred');
+            target.count = null;
+            expect(function() {
+                extend(target).withTraits(counted);
+            }).toThrowError(/Property already exists/);
+            extend(target).withTraits(counted, '#count');
+            expect(target.count()).toBe(1);
+        });
+
+        it('should report arguments before the first trait', function() {
+            expect(function() {
+                extend({}).withTraits('count', counted);
+            }).toThrowError(/No trait found/);
+        });
+    });
+
+    //----------------------------------
+    // Deep merge tests
+    //----------------------------------
+
+    describe('Deep merging objects', function() {
+
+        var defaults;
+
+        beforeEach(function() {
+            defaults = {
+                server: {
+                    host: 'localhost',
+                    port: 8080
+                },
+                logging: {
+                    level: 'info',
+                    file: 'app.log'
+                },
+                plugins: [{
+                    name: 'a',
+                    on: true
+                }]
+            };
+        });
+
+        // Returns a function which deep merges the defaults into the config,
+        // using the other arguments.
+        function mergeDefaults(config) {
+            var args = [defaults];
+            for (var i = 1; i < arguments.length; i++) {
+                args.push(arguments[i]);
+            }
+            return function() {
+                extend(config).withDeep.apply(null, args);
+            };
+        }
+
+        function isString(ctx) {
+            return typeof ctx.sourceValue === 'string';
+        }
+
+        it('should merge nested objects', function() {
+            var config = {
+                server: {
+                    timeout: 10
+                }
+            };
+            extend(config).withDeep(defaults);
+            expect(config.server).toEqual({
+                timeout: 10,
+                host: 'localhost',
+                port: 8080
+            });
+            expect(config.logging).toEqual(defaults.logging);
+            expect(config.logging).not.toBe(defaults.logging);
+        });
+
+        it('should select properties by path', function() {
+            var config = {};
+            extend(config).withDeep(defaults, 'server.port', /^logging\./, {
+                'server.host': 'hostname'
+            });
+            expect(config).toEqual({
+                server: {
+                    port: 8080
+                },
+                logging: {
+                    level: 'info',
+                    file: 'app.log'
+                },
+                hostname: 'localhost'
+            });
+        });
+
+        it('should filter each leaf', function() {
+            var config = {};
+            extend(config).withDeep(defaults, isString);
+            expect(config).toEqual({
+                server: {
+                    host: 'localhost'
+                },
+                logging: {
+                    level: 'info',
+                    file: 'app.log'
+                }
+            });
+        });
+
+        it('should report collisions using the full path', function() {
+            var config = {
+                server: {
+                    port: 80
+                }
+            };
+            expect(mergeDefaults(config)).toThrowError(/server\.port in/);
+            expect(config).toEqual({
+                server: {
+                    port: 80
+                }
+            });
+        });
+
+        it('should report collisions with values in the path', function() {
+            var config = {
+                server: 'localhost:80'
+            };
+            expect(mergeDefaults(config, 'server.port'))
+                .toThrowError(/server\.port in/);
+            extend(config).withDeep(defaults, '#server.port');
+            expect(config.server).toEqual({
+                port: 8080
+            });
+        });
+
+        it('should keep existing values', function() {
+            var config = {
+                server: {
+                    port: 80
+                }
+            };
+            extend(config).withDeep(defaults, extend.resolve('keepExisting'));
+            expect(config.server).toEqual({
+                port: 80,
+                host: 'localhost'
+            });
+        });
+
+        it('should resolve colliding arrays using the conflict strategy', function() {
+            var plugins = [{
+                    name: 'b'
+                }],
+                kept = {
+                    plugins: plugins
+                },
+                concatenated = {
+                    plugins: plugins
+                };
+
+            expect(mergeDefaults(kept, 'plugins')).toThrowError(/plugins in/);
+            extend(kept).withDeep(defaults, extend.resolve('keepExisting'));
+            extend(concatenated).withDeep(defaults, extend.resolve('keepExisting'),
+                extend.arrays('concat'));
+
+            expect(kept.plugins).toBe(plugins);
+            expect(concatenated.plugins).toEqual(plugins.concat(defaults.plugins));
+        });
+
+        it('should merge arrays using the array strategy', function() {
+            var plugins = [{
+                    name: 'a',
+                    on: false
+                }, {
+                    name: 'b'
+                }],
+                replaced = {
+                    plugins: plugins
+                },
+                concatenated = {
+                    plugins: plugins
+                },
+                united = {
+                    plugins: plugins
+                };
+
+            extend(replaced).withDeep(defaults, 'plugins', extend.arrays('replace'));
+            extend(concatenated).withDeep(defaults, 'plugins',
+                extend.arrays('concat'));
+            extend(united).withDeep(defaults, 'plugins',
+                extend.arrays('union', 'name'));
+
+            expect(replaced.plugins).toBe(defaults.plugins);
+            expect(concatenated.plugins).toEqual(plugins.concat(defaults.plugins));
+            expect(united.plugins).toEqual([defaults.plugins[0], plugins[1]]);
+            expect(plugins.length).toBe(2);
+        });
+
+        it('should report an unknown array strategy', function() {
+            expect(mergeDefaults({}, extend.arrays('zip')))
+                .toThrowError(/Unknown array strategy/);
+        });
+
+        it('should find the array strategy in an array', function() {
+            var config = {
+                plugins: [{
+                    name: 'b'
+                }]
+            };
+            extend(config).withDeep(defaults, ['plugins', [
+                extend.arrays('concat')
+            ]]);
+            expect(config.plugins.length).toBe(1 + defaults.plugins.length);
+        });
+
+        it('should not share empty objects with the source', function() {
+            var source = {
+                    options: {}
+                },
+                config = {};
+            extend(config).withDeep(source);
+            extend(config).withDeep({
+                options: {
+                    verbose: true
+                }
+            });
+            expect(config.options).toEqual({
+                verbose: true
+            });
+            expect(source.options).toEqual({});
+        });
+
+        it('should plan the merge', function() {
+            var plan = extend({
+                server: {
+                    port: 80
+                }
+            }).plan.withDeep(defaults, /^server\./);
+            expect(plan.properties.length).toBe(2);
+            expect(plan.properties[1].targetKey).toBe('server.port');
+            expect(plan.properties[1].collision).toBe(true);
+        });
+    });
+
+    //----------------------------------
+    // Multicast tests
+    //----------------------------------
+
+    describe('Composing object with multicast', function() {
+
+        function Widget(name, visible) {
+            this._name = name;
+            this._visible = visible;
+        }
+        Widget.prototype.render = function(prefix) {
+            return prefix + this._name;
+        };
+        Widget.prototype.isVisible = function() {
+            return this._visible;
+        };
+        Widget.prototype.size = function() {};
+
+        var widgets = [new Widget('a', true), new Widget('b', false), {
+            render: function() {
+                return 'c';
+            },
+            dispose: function() {
+                return 'disposed';
+            }
+        }];
+
+        it('should call the method on every source', function() {
+            var target = {};
+            extend(target).withMulticast(widgets);
+            expect(target.render('x')).toEqual(['xa', 'xb', 'c']);
+            expect(target.dispose()).toEqual(['disposed']);
+            expect(target._name).toBe(undefined);
+        });
+
+        it('should use the selectors', function() {
+            var target = {};
+            extend(target).withMulticast(widgets, 'render');
+            expect(target.render).toBeDefined();
+            expect(target.dispose).toBe(undefined);
+        });
+
+        it('should combine the results using a reducer', function() {
+            var target = {};
+            extend(target)
+                .withMulticast(widgets, 'isVisible', extend.reduce('every'))
+                .withMulticast(widgets, 'render', extend.reduce('first'))
+                .withMulticast(widgets, {
+                    render: 'renderAll'
+                }, extend.reduce(function(results) {
+                    return results.join();
+                }));
+            expect(target.isVisible()).toBe(false);
+            expect(target.render('x')).toBe('xa');
+            expect(target.renderAll('x')).toBe('xa,xb,c');
+        });
+
+        itPromises('should combine promises', function(done) {
+            var target = {};
+            extend(target).withMulticast(widgets, 'render',
+                extend.reduce('promise'));
+            target.render('x').then(function(results) {
+                expect(results).toEqual(['xa', 'xb', 'c']);
+                done();
+            });
+        });
+
+        it('should report an error if not passed an array', function() {
+            expect(function() {
+                extend({}).withMulticast({});
+            }).toThrow();
+        });
+
+        it('should find reducers in arrays and recipes', function() {
+            var target = {},
+                recipeExtend = extend.create();
+            recipeExtend.recipe('firstRender', ['render', [extend.reduce('first')]], {
+                method: 'withMulticast'
+            });
+            extend(target).withMulticast(widgets, ['isVisible', [
+                extend.reduce('every')
+            ]]);
+            recipeExtend(target).apply('firstRender', widgets);
+            expect(target.isVisible()).toBe(false);
+            expect(target.render('x')).toBe('xa');
+        });
+
+        it('should report an unknown reducer', function() {
+            expect(function() {
+                extend({}).withMulticast(widgets, extend.reduce('last'));
+            }).toThrowError(/Unknown multicast reducer/);
+            expect(function() {
+                extend({}).withMulticast(widgets, extend.reduce('toString'));
+            }).toThrowError(/Unknown multicast reducer/);
+        });
+    });
+
+    //----------------------------------
+    // Advice tests
+    //----------------------------------
+
+    describe('Advising methods', function() {
+
+        var calls, target;
+
+        beforeEach(function() {
+            calls = [];
+            target = {
+                _value: 2,
+                save: function(value) {
+                    calls.push('save');
+                    return this._value * value;
+                },
+                saveAll: function() {
+                    calls.push('saveAll');
+                }
+            };
+        });
+
+        it('should call the advice before the method', function() {
+            extend(target).withBefore({
+                save: function(value) {
+                    calls.push('before ' + value + ' ' + this._value);
+                }
+            });
+            expect(target.save(3)).toBe(6);
+            expect(calls).toEqual(['before 3 2', 'save']);
+        });
+
+        it('should call the advice after the method', function() {
+            extend(target).withAfter({
+                save: function(result, value) {
+                    calls.push('after ' + result + ' ' + value);
+                    return result + 1;
+                },
+                saveAll: function() {
+                    calls.push('after');
+                }
+            });
+            expect(target.save(3)).toBe(7);
+            target.saveAll();
+            expect(calls).toEqual(['save', 'after 6 3', 'saveAll', 'after']);
+        });
+
+        it('should call the advice around the method', function() {
+            extend(target).withAround({
+                save: function(proceed, value) {
+                    return proceed() + proceed(value + 1);
+                }
+            });
+            expect(target.save(3)).toBe(14);
+        });
+
+        it('should use the selectors', function() {
+            var advice = {
+                save: function() {
+                    calls.push('advice');
+                },
+                saveAll: function() {
+                    calls.push('advice');
+                }
+            };
+            extend(target).withBefore(advice, /^save/, '!saveAll');
+            target.save(1);
+            target.saveAll();
+            expect(calls).toEqual(['advice', 'save', 'saveAll']);
+        });
+
+        it('should report an error if the method does not exist', function() {
+            var error = new Error('extendThis.js: Property not found: ' +
+                'load in {"_value":2}');
+            expect(function() {
+                extend(target).withBefore({
+                    load: function() {}
+                });
+            }).toThrow(error);
+        });
+    });
+
+    //----------------------------------
+    // Individual property tests.
+    //----------------------------------
+    describe('Adding individual property', function() {
+
+        function Dog() {
+            extend(this).with('owner', 'me');
+        }
+
+        var dog = new Dog();
+
+        it('should add the correct property', function() {
+            expect(dog.owner).toBe('me');
+        });
+    });
+
+    describe('Adding individual property without a value', function() {
+
+        function Dog() {
+            extend(this).with('owner');
+        }
+
+        it('should throw an illegal property error', function() {
+            var error = new Error('extendThis.js: Illegal argument: "owner": ' +
+                'Requires a single property value');
+            expect(function() {
+                new Dog(); // eslint-disable-line no-new
+            }).toThrow(error);
+        });
+    });
+
+    //----------------------------------
+    // Wrap extend function
+    //----------------------------------
+
+    describe('Wrapping other extend function', function() {
+
+        it('should call the other extend function', function() {
+            var source = {};
+            var target = {};
+
+            this.otherExtend = function() {};
+
+            spyOn(this, 'otherExtend');
+
+            extend.wrap(this.otherExtend);
+
+            extend(source, target);
+            expect(this.otherExtend).toHaveBeenCalledWith(source, target);
+
+            extend.wrap(null);
+        });
+    });
+
+    //----------------------------------
+    // Method function
+    //----------------------------------
+
+    describe('Adding a method', function() {
+        it('should return my method', function() {
+            var func = function() {};
+            extend.method('funcA', func);
+            expect(extend.method('funcA')).toBe(func);
+            extend.method('funcA', null);
+        });
+    });
+
+    //----------------------------------
+    // Selector function
+    //----------------------------------
+
+    describe('Adding a selector', function() {
+        it('should return my selector', function() {
+            var selector = function() {};
+            extend.selector('&', selector);
+            expect(extend.selector('&')).toBe(selector);
+            extend.selector('&', null);
+        });
+    });
+
+    //----------------------------------
+    // Create function
+    //----------------------------------
+
+    describe('Creating an extend function', function() {
+
+        var myExtend = extend.create({
+            config: {
+                throwOverrideError: false
+            }
+        });
+        myExtend.selector('~', function() {});
+        myExtend.method('withMine', function() {});
+
+        it('should have its own selectors and methods', function() {
+            expect(myExtend.selector('~')).toBeDefined();
+            expect(myExtend.method('withMine')).toBeDefined();
+            expect(extend.selector('~')).toBe(undefined);
+            expect(extend.method('withMine')).toBe(undefined);
+        });
+
+        it('should have its own configuration', function() {
+            expect(myExtend.config.throwOverrideError).toBe(false);
+            expect(extend.config.throwOverrideError).toBe(true);
+
+            var target = {
+                name: 'fred'
+            };
+            myExtend(target).with(new Pet('ralph', 'red', 'dog'));
+            expect(target.name()).toBe('ralph');
+        });
+
+        it('should have the default selectors and methods', function() {
+            expect(myExtend.selector('!')).toBe(extend.selector('!'));
+            expect(myExtend.selector('#')).toBe(extend.selector('#'));
+            expect(myExtend.method('with')).toBe(extend.method('with'));
+            expect(myExtend.method('withCall')).toBe(extend.method('withCall'));
+            expect(myExtend.method('withDelegate')).toBe(
+                extend.method('withDelegate'));
+        });
+    });
+
+    describe('Creating an extend function without defaults', function() {
+
+        var myExtend = extend.create({
+            defaults: false
+        });
+
+        it('should not have the default selectors and methods', function() {
+            expect(myExtend.selector('!')).toBe(undefined);
+            expect(myExtend.method('with')).toBe(undefined);
+            expect(myExtend({}).with).toBe(undefined);
+        });
+    });
+
+    //----------------------------------
+    // Object.defineProperty
+    //----------------------------------
+
+    describe('Merging property created with Object.defineProperty', function() {
+        var source = {};
+
+        Object.defineProperty(source, 'sound', {
+            enumerable: true,
+            get: function() {
+                return 'meow';
+            }
+        });
+
+        it('should still work', function() {
+            var target = {};
+
+            expect(source.sound).toBe('meow');
+            extend(target).with(source);
+            expect(target.sound).toBe('meow');
+        });
+    });
+
+    //----------------------------------
+    // Property descriptors
+    //----------------------------------
+
+    describe('Merging properties using descriptors', function() {
+
+        function Counter() {
+            this._count = 0;
+        }
+        Object.defineProperty(Counter.prototype, 'count', {
+            enumerable: true,
+            configurable: true,
+            get: function() {
+                this._count++;
+                return this._count;
+            }
+        });
+        Object.defineProperty(Counter.prototype, 'max', {
+            enumerable: false,
+            writable: false,
+            value: 10
+        });
+
+        it('should preserve getters', function() {
+            var target = {
+                _count: 0
+            };
+            extend(target).with(Counter.prototype, extend.descriptors);
+            expect(target.count).toBe(1);
+            expect(target.count).toBe(2);
+        });
+
+        it('should preserve the property attributes', function() {
+            var target = {};
+            extend(target).with(Counter.prototype, 'max', extend.descriptors);
+
+            var descriptor = Object.getOwnPropertyDescriptor(target, 'max');
+            expect(descriptor.value).toBe(10);
+            expect(descriptor.enumerable).toBe(false);
+            expect(descriptor.writable).toBe(false);
+        });
+
+        it('should allow filters to modify the descriptor', function() {
+            var target = {};
+            extend(target).with(Counter.prototype, 'max', extend.descriptors,
+                function(filterContext) {
+                    filterContext.descriptor.enumerable = true;
+                    filterContext.sourceValue = 20;
+                    return true;
+                });
+
+            var descriptor = Object.getOwnPropertyDescriptor(target, 'max');
+            expect(descriptor.value).toBe(20);
+            expect(descriptor.enumerable).toBe(true);
+        });
+
+        it('should use descriptors when configured', function() {
+            var myExtend = extend.create({
+                config: {
+                    useDescriptors: true
+                }
+            });
+            var target = {
+                _count: 5
+            };
+            myExtend(target).with(Counter.prototype);
+            expect(target.count).toBe(6);
+            expect(target.count).toBe(7);
+        });
+
+        it('should still detect collisions', function() {
+            var target = {
+                max: 1
+            };
+            var error = new Error(
+                'extendThis.js: Property already exists: max in {"max":1}');
+            expect(function() {
+                extend(target).with(Counter.prototype, 'max',
+                    extend.descriptors);
+            }).toThrow(error);
+        });
+    });
+
+    //----------------------------------
+    // Non-enumerable class members
+    //----------------------------------
+
+    describe('Merging non-enumerable class members', function() {
+
+        // Equivalent to the prototype of an ES2015 class.
+        function Animal() {}
+        Object.defineProperty(Animal.prototype, 'sound', {
+            configurable: true,
+            writable: true,
+            value: function() {
+                return 'noise';
+            }
+        });
+
+        function Cat() {}
+        Cat.prototype = Object.create(Animal.prototype);
+        Object.defineProperty(Cat.prototype, 'constructor', {
+            configurable: true,
+            writable: true,
+            value: Cat
+        });
+        Object.defineProperty(Cat.prototype, 'purr', {
+            configurable: true,
+            writable: true,
+            value: function() {
+                return 'purr';
+            }
+        });
+
+        it('should merge the methods of the prototype chain', function() {
+            var target = {};
+            extend(target).with(Cat.prototype);
+            expect(target.purr()).toBe('purr');
+            expect(target.sound()).toBe('noise');
+            expect(target.hasOwnProperty('constructor')).toBe(false);
+            expect(target.hasOwnProperty('toString')).toBe(false);
+        });
+
+        it('should select methods with a regex', function() {
+            var target = {};
+            extend(target).with(Cat.prototype, /^p/);
+            expect(target.purr()).toBe('purr');
+            expect(target.sound).toBe(undefined);
+        });
+
+        it('should limit the depth of the prototype chain', function() {
+            var myExtend = extend.create({
+                config: {
+                    inheritedDepth: 0
+                }
+            });
+            var target = {};
+            myExtend(target).with(Object.create(Cat.prototype));
+            expect(target.purr).toBe(undefined);
+
+            target = {};
+            myExtend.config.inheritedDepth = 1;
+            myExtend(target).with(Object.create(Cat.prototype));
+            expect(target.purr()).toBe('purr');
+            expect(target.sound).toBe(undefined);
+        });
+
+        it('should exclude inherited members', function() {
+            var myExtend = extend.create({
+                config: {
+                    includeInherited: false
+                }
+            });
+            var target = {};
+            myExtend(target).withDelegate(new Pet('ralph', 'red', 'dog'));
+            expect(target.name).toBe(undefined);
+
+            var source = Object.create({
+                inherited: true
+            });
+            source.own = true;
+            myExtend(target).with(source);
+            expect(target.own).toBe(true);
+            expect(target.inherited).toBe(undefined);
+        });
+
+        it('should exclude the members of built-in prototypes', function() {
+            var fromArray = {},
+                fromError = {},
+                fromDate = {};
+            extend(fromArray).with([1, 2]);
+            extend(fromError).with(new Error('failed'));
+            extend(fromDate).withDelegate(new Date());
+            expect(fromArray).toEqual({
+                0: 1,
+                1: 2
+            });
+            expect(fromError.hasOwnProperty('toString')).toBe(false);
+            expect(Object.keys(fromDate)).toEqual([]);
+        });
+    });
+
+    describe('Merging ES2015 class prototype', function() {
+
+        var Bird = createClass('class Bird { fly() { return "flap"; } }');
+
+        it('should merge the class methods', function() {
+            if (Bird) {
+                var target = {};
+                extend(target).with(Bird.prototype);
+                expect(target.fly()).toBe('flap');
+
+                target = {};
+                extend(target).withDelegate(new Bird());
+                expect(target.fly()).toBe('flap');
+            }
+        });
+    });
+
+    //----------------------------------
+    // Symbol keys
+    //----------------------------------
+
+    describeSymbols('Merging symbol keyed properties', function() {
+
+        var owner = typeof Symbol === 'function' ? Symbol('owner') : null;
+
+        function Collection(items) {
+            this._items = items;
+        }
+        Collection.prototype.size = function() {
+            return this._items.length;
+        };
+        if (owner) {
+            Collection.prototype[Symbol.iterator] = function() {
+                return this._items[Symbol.iterator]();
+            };
+            Collection.prototype[owner] = 'me';
+        }
+
+        it('should select symbol keys by default', function() {
+            var target = {};
+            extend(target).withDelegate(new Collection([1, 2]));
+            expect(Array.from(target)).toEqual([1, 2]);
+            expect(target[owner]).toBe('me');
+            expect(target.size()).toBe(2);
+        });
+
+        it('should select symbol keys by selector', function() {
+            var target = {};
+            extend(target).withDelegate(new Collection([1, 2]), Symbol.iterator);
+            expect(Array.from(target)).toEqual([1, 2]);
+            expect(target[owner]).toBe(undefined);
+            expect(target.size).toBe(undefined);
+        });
+
+        it('should not select symbol keys by regex', function() {
+            var target = {};
+            extend(target).with(Collection.prototype, /.*/);
+            expect(target.size).toBeDefined();
+            expect(target[Symbol.iterator]).toBe(undefined);
+        });
+
+        it('should rename keys using a map', function() {
+            var target = {};
+            var map = new Map();
+            map.set(Symbol.iterator, 'iterator');
+            map.set('size', owner);
+            extend(target).with(Collection.prototype, map);
+            expect(target.iterator).toBe(Collection.prototype[Symbol.iterator]);
+            expect(target[owner]).toBe(Collection.prototype.size);
+        });
+
+        it('should pass symbol keys to filters', function() {
+            var target = {};
+            var sourceKeys = [];
+            extend(target).with(Collection.prototype, Symbol.iterator,
+                function(filterContext) {
+                    sourceKeys.push(filterContext.sourceKey);
+                    return true;
+                });
+            expect(sourceKeys).toEqual([Symbol.iterator]);
+        });
+
+        it('should detect collisions', function() {
+            var target = {};
+            target[owner] = 'you';
+
+            var error = new Error('extendThis.js: Property already exists: ' +
+                'Symbol(owner) in {}');
+            expect(function() {
+                extend(target).with(Collection.prototype, owner);
+            }).toThrow(error);
+        });
+    });
+
+    //----------------------------------
+    // Plan tests
+    //----------------------------------
+
+    describe('Planning a method call', function() {
+
+        var target = {
+            sound: 'woof'
+        };
+        var dog = new Pet('ralph', 'red', 'dog');
+
+        var report = extend(target).plan.withDelegate(dog, '!type', {
+            name: 'sound'
+        }, '#color');
+
+        function findReport(sourceKey) {
+            for (var i = 0; i < report.properties.length; i++) {
+                if (report.properties[i].sourceKey === sourceKey) {
+                    return report.properties[i];
+                }
+            }
+            return undefined;
+        }
+
+        it('should not modify the target', function() {
+            expect(target).toEqual({
+                sound: 'woof'
+            });
+        });
+
+        it('should report the source object', function() {
+            expect(report.source).toBe(dog);
+        });
+
+        it('should report the selected properties', function() {
+            expect(findReport('type')).toBe(undefined);
+            expect(findReport('name')).toEqual({
+                sourceKey: 'name',
+                targetKey: 'sound',
+                found: true,
+                filtered: false,
+                filter: null,
+                collision: true,
+                override: false,
+                strategy: 'error',
+                previous: {
+                    value: 'woof',
+                    writable: true,
+                    enumerable: true,
+                    configurable: true
+                },
+                applied: false
+            });
+            expect(findReport('color').override).toBe(true);
+            expect(findReport('color').collision).toBe(false);
+        });
+
+        it('should report the filtered properties', function() {
+            var property = findReport('_name');
+            expect(property.targetKey).toBe(null);
+            expect(property.filtered).toBe(true);
+            expect(property.filter).toEqual(jasmine.any(Function));
+        });
+
+        it('should report missing properties instead of throwing', function() {
+            var plan = extend({}).plan.with(dog, 'cat');
+            expect(plan.properties[0].found).toBe(false);
+        });
+    });
+
+    //----------------------------------
+    // Rollback tests
+    //----------------------------------
+
+    describe('Throwing an error while modifying the target', function() {
+
+        // Returns a function which extends the target with the other
+        // arguments.
+        function extendWith(target) {
+            var args = [];
+            for (var i = 1; i < arguments.length; i++) {
+                args.push(arguments[i]);
+            }
+            return function() {
+                extend(target).with.apply(null, args);
+            };
+        }
+
+        function throwOnType(filterContext) {
+            if (filterContext.sourceKey === 'type') {
+                throw new Error('filter error');
+            }
+            return true;
+        }
+
+        it('should restore the target on collision', function() {
+            var target = {
+                color: 'blue'
+            };
+            expect(extendWith(target, new Pet('ralph', 'red', 'dog'))).toThrow();
+            expect(target).toEqual({
+                color: 'blue'
+            });
+        });
+
+        it('should restore the target on missing property', function() {
+            var target = {};
+            expect(extendWith(target, Pet.prototype, 'name', 'cat')).toThrow();
+            expect(target).toEqual({});
+        });
+
+        it('should restore properties overridden before the error', function() {
+            var name = function() {};
+            var target = {
+                name: name,
+                color: 'blue'
+            };
+            expect(extendWith(target, Pet.prototype, '#name', 'color')).toThrow();
+            expect(target.name).toBe(name);
+            expect(target.color).toBe('blue');
+        });
+
+        it('should restore the target when a filter throws', function() {
+            var target = {};
+            expect(extendWith(target, Pet.prototype, throwOnType))
+                .toThrow(new Error('filter error'));
+            expect(target).toEqual({});
+        });
+    });
+
+    //----------------------------------
+    // Provenance tests
+    //----------------------------------
+
+    describeWeakMaps('Describing a composed object', function() {
+
+        var dog = new Pet('ralph', 'red', 'dog');
+        var mixin = {
+            owner: 'me'
+        };
+        var target = {};
+
+        extend(target)
+            .withDelegate(dog, 'name', {
+                '#color': 'hue'
+            })
+            .with(mixin);
+
+        it('should describe where each property came from', function() {
+            var provenance = extend.describe(target);
+            expect(provenance.length).toBe(3);
+            expect(provenance[2]).toEqual({
+                targetKey: 'owner',
+                sourceKey: 'owner',
+                source: mixin,
+                origin: mixin,
+                method: 'with',
+                filters: [],
+                override: false,
+                previous: undefined
+            });
+        });
+
+        it('should describe a single property', function() {
+            var provenance = extend.describe(target, 'hue');
+            expect(provenance.sourceKey).toBe('color');
+            expect(provenance.source).toBe(dog);
+            expect(provenance.method).toBe('withDelegate');
+            expect(provenance.filters.length).toBe(2);
+            expect(provenance.override).toBe(true);
+        });
+
+        it('should not describe unknown properties', function() {
+            expect(extend.describe(target, 'type')).toBe(undefined);
+            expect(extend.describe({})).toEqual([]);
+        });
+
+        it('should not describe properties of other extend functions', function() {
+            var myExtend = extend.create();
+            expect(myExtend.describe(target)).toEqual([]);
+        });
+    });
+
+    //----------------------------------
+    // Without tests
+    //----------------------------------
+
+    describeWeakMaps('Removing the properties of a source', function() {
+
+        var dog = new Pet('ralph', 'red', 'dog');
+        var cat = new Pet('tom', 'black', 'cat');
+        var name = function() {};
+
+        it('should remove the added properties', function() {
+            var target = {};
+            extend(target).withDelegate(dog).with('owner', 'me');
+            extend(target).without(dog);
+            expect(target).toEqual({
+                owner: 'me'
+            });
+            expect(extend.describe(target).length).toBe(1);
+        });
+
+        it('should restore the overridden properties', function() {
+            var target = {
+                name: name
+            };
+            extend(target).withDelegate(dog, '#name').without(dog);
+            expect(target.name).toBe(name);
+        });
+
+        it('should not remove properties which were overridden since', function() {
+            var target = {
+                name: name
+            };
+            extend(target)
+                .withDelegate(dog, '#name')
+                .withDelegate(cat, '#name')
+                .without(dog);
+            expect(target.name()).toBe('tom');
+
+            extend(target).without(cat);
+            expect(target.name).toBe(name);
+        });
+
+        it('should remove the properties of the arguments passed', function() {
+            var target = {},
+                widget = {
+                    render: function() {}
+                },
+                widgets = [widget];
+
+            function Owner() {
+                this.owner = 'me';
+            }
+
+            function Size(size) {
+                this.size = size;
+            }
+
+            extend(target)
+                .withCall(Owner)
+                .withNew([Size, 5])
+                .withMulticast(widgets)
+                .with('color', 'red');
+            expect(Object.keys(target)).toEqual(['owner', 'size', 'render',
+                'color'
+            ]);
+            extend(target)
+                .without(Owner)
+                .without(Size)
+                .without(widgets)
+                .without('color');
+            expect(target).toEqual({});
+        });
+
+        it('should ignore sources which were not applied', function() {
+            var target = {
+                name: name
+            };
+            extend(target).without(dog);
+            expect(target.name).toBe(name);
+        });
+    });
+
+    //----------------------------------
+    // Seal tests
+    //----------------------------------
+
+    describeWeakMaps('Sealing a composed object', function() {
+
+        var target;
+
+        beforeEach(function() {
+            target = {};
+            extend(target)
+                .with(Pet.prototype, 'name', '#color')
+                .with('owner', 'me')
+                .seal();
+        });
+
+        // Returns a function which sets the owner of the object.
+        function setOwner(object) {
+            return function() {
+                object.owner = 'you';
+            };
+        }
+
+        it('should report an error when a property is set', function() {
+            var error = new Error('extendThis.js: Property already exists: ' +
+                'owner in {"owner":"me"}');
+            expect(setOwner(target)).toThrow(error);
+            expect(target.owner).toBe('me');
+        });
+
+        it('should report an error when an inherited property is set', function() {
+            var child = Object.create(target);
+            expect(setOwner(child)).toThrow();
+        });
+
+        it('should not report an error for override properties', function() {
+            var color = function() {};
+            target.color = color;
+            expect(target.color).toBe(color);
+        });
+
+        it('should allow properties to be overridden using methods', function() {
+            extend(target).with({
+                owner: 'you'
+            }, '#owner');
+            expect(target.owner).toBe('you');
+        });
+
+        it('should not seal properties if disabled', function() {
+            var myExtend = extend.create({
+                config: {
+                    seal: false
+                }
+            });
+            var object = {};
+            myExtend(object).with('owner', 'me').seal();
+            object.owner = 'you';
+            expect(object.owner).toBe('you');
         });
     });
 